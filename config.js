@@ -1,4 +1,3 @@
-
 const os = require('os');
 const path = require('path');
 
@@ -15,8 +14,55 @@ module.exports = {
       "bursts": 3,
       "burstTimeout": 333,
       "burstWait": 120000,
-      "timeout": 1000
+      "timeout": 1000,
+      "store": "memory"
+    }
+  },
+  "retry": {
+    "attempts": 1,
+    "minTimeout": 1000,
+    "maxTimeout": 30000,
+    "factor": 2,
+    "jitter": true,
+    "retryAfter": true,
+    "codes": [-1, -4, -5]
+  },
+  "timeout": 30000,
+  "post": {
+    "threshold": 2000,
+    "methods": []
+  },
+  "cache": {
+    "enabled": false,
+    "store": "memory",
+    "dir": "",
+    "ttl": {
+      "rtm.lists.getList": 60000,
+      "rtm.tasks.getList": 60000,
+      "rtm.settings.getList": 300000,
+      "rtm.locations.getList": 300000,
+      "rtm.contacts.getList": 300000,
+      "rtm.groups.getList": 300000,
+      "rtm.tags.getList": 60000
     }
   },
-  "task_id_cache_file": process.env.RTM_INDEX_CACHE ? process.env.RTM_INDEX_CACHE : path.normalize(os.homedir() + '/' + '.rtm.indexcache.json')
+  "coalesce": true,
+  "debug": false,
+  "transport": "node",
+  "proxy": {
+    "url": "",
+    "noProxy": ""
+  },
+  "cassette": {
+    "mode": "",
+    "file": ""
+  },
+  "agent": {
+    "keepAlive": true,
+    "keepAliveMsecs": 1000,
+    "maxSockets": 4,
+    "maxFreeSockets": 2,
+    "timeout": 60000
+  },
+  "task_id_cache_file": path.normalize(os.homedir() + '/' + '.rtm.indexcache.json')
 }
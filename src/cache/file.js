@@ -0,0 +1,153 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+
+/**
+ * ### File Response Cache Store
+ *
+ * This store keeps the cached responses in files in the specified directory,
+ * so the cached responses are kept between runs and shared by separate
+ * processes on the same machine.  The entries of each namespace are kept in
+ * their own sub-directory.  The cached responses contain the Users' private
+ * data, so the directories and files can only be read by the current user.
+ * @module cache/file
+ * @private
+ */
+
+
+/**
+ * Create a new file store that keeps its files in the specified directory
+ * @param {string} dir Directory for the cache files
+ * @returns {{get: function, set: function, clear: function}}
+ * @private
+ */
+module.exports = function(dir) {
+  let rtn = {};
+
+  /**
+   * Get the cached value of the key
+   * @param {string} namespace Cache namespace (Client and User)
+   * @param {string} key Cache key
+   * @param {function} callback Callback function(err, value) where value is
+   * `undefined` if the key is not cached or has expired
+   * @private
+   */
+  rtn.get = function(namespace, key, callback) {
+    let file = _file(namespace, key);
+    let entry = undefined;
+    try {
+      entry = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+    catch(exception) {
+      return callback(null, undefined);
+    }
+    if ( typeof entry.expires !== 'number' || entry.expires <= new Date().getTime() ) {
+      try {
+        fs.unlinkSync(file);
+      }
+      catch(exception) {}
+      return callback(null, undefined);
+    }
+    return callback(null, entry.value);
+  };
+
+  /**
+   * Cache the value of the key
+   * @param {string} namespace Cache namespace (Client and User)
+   * @param {string} key Cache key
+   * @param {string} value Value to cache
+   * @param {number} ttl Time (ms) the value is cached
+   * @param {function} [callback] Callback function(err)
+   * @private
+   */
+  rtn.set = function(namespace, key, value, ttl, callback) {
+    let err = null;
+    try {
+      let file = _file(namespace, key);
+      fs.mkdirSync(path.dirname(file), {recursive: true, mode: 0o700});
+      fs.writeFileSync(file, JSON.stringify({
+        expires: new Date().getTime() + ttl,
+        value: value
+      }), {mode: 0o600});
+    }
+    catch(exception) {
+      err = exception;
+    }
+    if ( callback ) {
+      return callback(err);
+    }
+  };
+
+  /**
+   * Remove all of the cached values of the namespace
+   * @param {string} namespace Cache namespace (Client and User)
+   * @param {function} [callback] Callback function(err)
+   * @private
+   */
+  rtn.clear = function(namespace, callback) {
+    let err = null;
+    try {
+      _remove(path.join(dir, _hash(namespace)));
+    }
+    catch(exception) {
+      err = exception;
+    }
+    if ( callback ) {
+      return callback(err);
+    }
+  };
+
+
+  /**
+   * Remove the file or directory (and its contents), if it exists
+   * @param {string} target Path to the file or directory
+   * @private
+   */
+  function _remove(target) {
+    let stats = undefined;
+    try {
+      stats = fs.lstatSync(target);
+    }
+    catch(exception) {
+      if ( exception.code === 'ENOENT' ) {
+        return;
+      }
+      throw exception;
+    }
+    if ( stats.isDirectory() ) {
+      fs.readdirSync(target).forEach(function(name) {
+        _remove(path.join(target, name));
+      });
+      fs.rmdirSync(target);
+    }
+    else {
+      fs.unlinkSync(target);
+    }
+  }
+
+  /**
+   * Get the path to the cache file of the key
+   * @param {string} namespace Cache namespace
+   * @param {string} key Cache key
+   * @returns {string}
+   * @private
+   */
+  function _file(namespace, key) {
+    return path.join(dir, _hash(namespace), _hash(key) + '.json');
+  }
+
+  /**
+   * Get the md5 hash of the value
+   * @param {string} value
+   * @returns {string}
+   * @private
+   */
+  function _hash(value) {
+    return crypto.createHash('md5').update(value).digest('hex');
+  }
+
+  return rtn;
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const parse = require('../response/parse.js');
+const memory = require('./memory.js');
+const file = require('./file.js');
+const methods = require('../utils/methods.js');
+const log = require('../utils/log.js');
+
+// File Stores, by directory
+let FILE_STORES = {};
+
+
+/**
+ * ### RTM API Response Cache
+ *
+ * This module provides the response cache used by an {@link RTMClient} when
+ * its `cache.enabled` configuration property is set.  The cache is run as the
+ * last function of the Client's middleware pipeline (see {@link RTMClient#use}).
+ *
+ * The successful responses of the read methods listed in the `cache.ttl`
+ * configuration property are cached, by User, method and parameters, for the
+ * method's TTL (ms).  All of a User's cached responses are removed when a
+ * write method (a `write` method of the API method registry, see
+ * {@link module:utils/methods}, or a request with a `timeline` parameter for a
+ * method that is not in the registry) succeeds for the User.  A failure to
+ * remove them is logged as a warning (with the `cache` event).
+ *
+ * The file store's directories and files can only be read by the current user.
+ *
+ * The cached responses are kept in memory or, when the `cache.store`
+ * configuration property is set to `file`, in files in the `cache.dir`
+ * directory.  A custom store can be used by setting `cache.store` to an
+ * object with the same `get(namespace, key, callback)`,
+ * `set(namespace, key, value, ttl, callback)` and `clear(namespace, callback)`
+ * functions as the included stores.
+ * @module cache
+ * @private
+ */
+
+
+/**
+ * The response cache middleware function
+ * @param {RTMClient~MiddlewareContext} ctx Request Context
+ * @param {function} next Function to continue or short-circuit the pipeline
+ * @private
+ */
+function middleware(ctx, next) {
+  let config = ctx.client.config.cache;
+  let cache = store(config);
+  let namespace = _namespace(ctx.client, ctx.user);
+
+  // Write Methods: clear the User's cached responses
+  let definition = methods.get(ctx.method);
+  if ( definition ? definition.write : ctx.params.timeline !== undefined ) {
+    return next(function(err, resp, done) {
+      if ( err ) {
+        return done(err, resp);
+      }
+      cache.clear(namespace, function(clearErr) {
+        if ( clearErr ) {
+          log.logger(ctx.client).warn({event: 'cache', method: ctx.method, err: clearErr.toString()}, 'cache clear error');
+        }
+        return done(err, resp);
+      });
+    });
+  }
+
+  // Skip methods that are not cached
+  let ttl = config.ttl ? config.ttl[ctx.method] : undefined;
+  if ( !ttl || ctx.options.cache === false ) {
+    return next();
+  }
+
+  // Get the cached response
+  let key = _key(ctx.method, ctx.params);
+  cache.get(namespace, key, function(err, body) {
+    if ( !err && body !== undefined ) {
+      let parsed = parse(body);
+      if ( parsed.isOk ) {
+        return next(null, parsed);
+      }
+    }
+
+    // Make the request and cache the response
+    return next(function(err, resp, done) {
+      if ( err || !ctx.response ) {
+        return done(err, resp);
+      }
+      cache.set(namespace, key, ctx.response.body, ttl, function() {
+        return done(err, resp);
+      });
+    });
+
+  });
+}
+
+
+/**
+ * Remove all of the cached responses of the Client and User
+ * @param {RTMClient} client The RTM Client
+ * @param {RTMUser} [user] The RTM User
+ * @param {function} [callback] Callback function(err)
+ * @private
+ */
+function clear(client, user, callback) {
+  store(client.config.cache).clear(_namespace(client, user), callback);
+}
+
+
+/**
+ * Get the store of the cache configuration
+ * @param {object} config Client's `cache` configuration properties
+ * @returns {{get: function, set: function, clear: function}}
+ * @private
+ */
+function store(config) {
+  if ( config.store === 'file' ) {
+    let dir = config.dir ? config.dir : path.join(os.tmpdir(), 'rtm-api-cache');
+    if ( FILE_STORES[dir] === undefined ) {
+      FILE_STORES[dir] = file(dir);
+    }
+    return FILE_STORES[dir];
+  }
+  else if ( config.store && typeof config.store === 'object' ) {
+    return config.store;
+  }
+  return memory;
+}
+
+
+/**
+ * Get the cache namespace of the Client and User
+ * @param {RTMClient} client The RTM Client
+ * @param {RTMUser} [user] The RTM User
+ * @returns {string}
+ * @private
+ */
+function _namespace(client, user) {
+  return client.key + ':' + (user ? user.id : '');
+}
+
+/**
+ * Get the cache key of the request's method and parameters
+ * @param {string} method RTM API Method
+ * @param {Object} params Request Parameters
+ * @returns {string}
+ * @private
+ */
+function _key(method, params) {
+  let keys = Object.keys(params).sort();
+  let parts = [];
+  for ( let i = 0; i < keys.length; i++ ) {
+    parts.push(encodeURIComponent(keys[i]) + '=' + encodeURIComponent(params[keys[i]]));
+  }
+  return method + '?' + parts.join('&');
+}
+
+
+module.exports = {
+  middleware: middleware,
+  clear: clear,
+  store: store
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+
+/**
+ * ### In-Memory Response Cache Store
+ *
+ * This store keeps the cached responses in memory.  The cached responses
+ * are shared by all of the `RTMClient`s and `RTMUser`s in the same process.
+ * @module cache/memory
+ * @private
+ */
+
+
+// Cached Entries, by namespace and key
+let ENTRIES = {};
+
+
+/**
+ * Get the cached value of the key
+ * @param {string} namespace Cache namespace (Client and User)
+ * @param {string} key Cache key
+ * @param {function} callback Callback function(err, value) where value is
+ * `undefined` if the key is not cached or has expired
+ * @private
+ */
+function get(namespace, key, callback) {
+  let entries = ENTRIES[namespace];
+  if ( entries === undefined || entries[key] === undefined ) {
+    return callback(null, undefined);
+  }
+  if ( entries[key].expires <= new Date().getTime() ) {
+    delete entries[key];
+    return callback(null, undefined);
+  }
+  return callback(null, entries[key].value);
+}
+
+/**
+ * Cache the value of the key
+ * @param {string} namespace Cache namespace (Client and User)
+ * @param {string} key Cache key
+ * @param {string} value Value to cache
+ * @param {number} ttl Time (ms) the value is cached
+ * @param {function} [callback] Callback function(err)
+ * @private
+ */
+function set(namespace, key, value, ttl, callback) {
+  if ( ENTRIES[namespace] === undefined ) {
+    ENTRIES[namespace] = {};
+  }
+  ENTRIES[namespace][key] = {
+    expires: new Date().getTime() + ttl,
+    value: value
+  };
+  if ( callback ) {
+    return callback(null);
+  }
+}
+
+/**
+ * Remove all of the cached values of the namespace
+ * @param {string} namespace Cache namespace (Client and User)
+ * @param {function} [callback] Callback function(err)
+ * @private
+ */
+function clear(namespace, callback) {
+  delete ENTRIES[namespace];
+  if ( callback ) {
+    return callback(null);
+  }
+}
+
+
+module.exports = {
+  get: get,
+  set: set,
+  clear: clear
+};
@@ -1,12 +1,13 @@
 'use strict';
 
 const _auth = require('../utils/auth.js');
+const promise = require('../utils/promise.js');
 
 
 /**
  * This module returns the auth-related functions for RTMClient
  * @param {RTMClient} client RTMClient instance
- * @returns {{getAuthUrl: function, getAuthToken: function, verifyAuthToken: function}}
+ * @returns {{getAuthUrl: function, getAuthToken: function, verifyAuthToken: function, login: function, upgrade: function}}
  * @private
  */
 module.exports = function(client) {
@@ -22,11 +23,13 @@ module.exports = function(client) {
    * @param {RTMError} callback.err RTM Error Response, if encountered
    * @param {string} callback.authUrl Auth URL to be given to User
    * @param {string} callback.frob Auth Frob to be used in `getAuthToken()`
+   * @returns {Promise<{authUrl: string, frob: string}>|undefined} When no callback
+   * is provided, a Promise that resolves with the Auth URL and Auth Frob
    * @function RTMClient~auth/getAuthUrl
    */
-  rtn.getAuthUrl = function(callback) {
+  rtn.getAuthUrl = promise.promisify(function(callback) {
     _auth.getAuthUrl(client, callback);
-  };
+  }, ['authUrl', 'frob']);
 
   /**
    * Get an Auth Token.
@@ -39,11 +42,13 @@ module.exports = function(client) {
    * @param {function} callback Callback function(err, user)
    * @param {RTMError} callback.err RTM Error Response, if encountered
    * @param {RTMUser} callback.user RTM User, with user information and auth token
+   * @returns {Promise<RTMUser>|undefined} When no callback is provided, a Promise
+   * that resolves with the RTM User
    * @function RTMClient~auth/getAuthToken
    */
-  rtn.getAuthToken = function(frob, callback) {
+  rtn.getAuthToken = promise.promisify(function(frob, callback) {
     _auth.getAuthToken(frob, client, callback);
-  };
+  });
 
   /**
    * Verify Auth Token.
@@ -55,11 +60,79 @@ module.exports = function(client) {
    * @param {RTMError} callback.err RTM Error, if encountered (excluding a `Login failed / Invalid auth token` error)
    * @param {boolean} callback.verified `true` if the User's auth token was successfully verified or `false` if
    * a `Login failed / Invalid auth token` error was encountered
+   * @returns {Promise<boolean>|undefined} When no callback is provided, a Promise
+   * that resolves with the verified flag
    * @function RTMClient~auth/verifyAuthToken
    */
-  rtn.verifyAuthToken = function(token, callback) {
+  rtn.verifyAuthToken = promise.promisify(function(token, callback) {
     _auth.verifyAuthToken(token, client, callback);
-  };
+  });
+
+  /**
+   * Log in a User.
+   *
+   * This function runs the complete auth flow: it generates an Auth URL, gives
+   * it to the `open` function (by default, the URL is opened in the User's web
+   * browser) and waits until the User has authorized the Client.  The callback
+   * function returns an `RTMUser` with an Auth Token and a timeline.
+   *
+   * In `poll` mode (for desktop apps), the Auth URL's frob is exchanged for an
+   * Auth Token with `rtm.auth.getToken` until the User has authorized it,
+   * waiting longer between each attempt (from `interval` up to `maxInterval` ms).
+   *
+   * In `callback` mode (for web apps), a local HTTP server is started on the
+   * `host` and `port` to receive the frob from the RTM web-app callback.  The
+   * callback URL of your API Key must be set to the local server's URL (such as
+   * `http://127.0.0.1:3000/`).  The server is closed when the login is complete.
+   * @param {object} [options] Login Options
+   * @param {string} [options.mode=poll] Login mode: `poll` or `callback`
+   * @param {number} [options.timeout=300000] Time (ms) to wait for the User to authorize the Client
+   * @param {function} [options.open] Function(authUrl) used to give the Auth URL to the User
+   * @param {AbortSignal} [options.signal] Signal used to cancel the login
+   * @param {number} [options.interval=2000] `poll` mode: initial time (ms) between attempts
+   * @param {number} [options.maxInterval=10000] `poll` mode: maximum time (ms) between attempts
+   * @param {string} [options.host=127.0.0.1] `callback` mode: host of the local server
+   * @param {number} [options.port] `callback` mode: port of the local server (required: the port of the API
+   * Key's callback URL)
+   * @param {string} [options.path=/] `callback` mode: path of the callback URL
+   * @param {function} callback Callback function(err, user)
+   * @param {RTMError} callback.err RTM Error Response, if encountered (a Login Timeout
+   * Error (`-11`) if the User did not authorize the Client before the timeout)
+   * @param {RTMUser} callback.user RTM User, with user information, auth token and timeline
+   * @returns {Promise<RTMUser>|undefined} When no callback is provided, a Promise
+   * that resolves with the RTM User
+   * @function RTMClient~auth/login
+   */
+  rtn.login = promise.promisify(function(options, callback) {
+    require('../utils/login.js')(client, options, callback);
+  });
+
+  /**
+   * Upgrade the Client's permission.
+   *
+   * This function starts a new auth flow at a higher permission level: it
+   * generates an Auth URL (and frob) that will be given to the RTM User to
+   * authorize the Client at the new permission.  The Client's `perms` are
+   * raised to the new permission level once the frob's Auth Token is received
+   * with `getAuthToken()` (within 60 minutes, the lifetime of the frob).  The Auth Tokens of Users authorized before the
+   * upgrade keep their previous permission, so each User should get a new
+   * Auth Token with `getAuthToken()`.
+   *
+   * A Validation Error (`-9`) is returned if the permission level is not valid
+   * or is not higher than the Client's permission.
+   * @param {string} perms New RTM API Client Access Permissions ({@link RTMClient.PERM_WRITE}
+   * or {@link RTMClient.PERM_DELETE})
+   * @param {function} callback Callback function(err, authUrl, frob)
+   * @param {RTMError} callback.err RTM Error Response, if encountered
+   * @param {string} callback.authUrl Auth URL to be given to User
+   * @param {string} callback.frob Auth Frob to be used in `getAuthToken()`
+   * @returns {Promise<{authUrl: string, frob: string}>|undefined} When no callback
+   * is provided, a Promise that resolves with the Auth URL and Auth Frob
+   * @function RTMClient~auth/upgrade
+   */
+  rtn.upgrade = promise.promisify(function(perms, callback) {
+    _auth.upgrade(perms, client, callback);
+  }, ['authUrl', 'frob']);
 
   return rtn;
 };
\ No newline at end of file
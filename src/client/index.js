@@ -1,5 +1,12 @@
 'use strict';
 
+const promise = require('../utils/promise.js');
+const transports = require('../transport/index.js');
+const config = require('../utils/config.js');
+const RTMRateLimiter = require('../limiter/index.js');
+const RTMMetrics = require('../metrics/index.js');
+const methods = require('../utils/methods.js');
+
 
 /**
  * ### RTM API Client
@@ -32,6 +39,13 @@
  * )};
  * ```
  *
+ * All of the API functions will return a Promise when the callback function
+ * is omitted:
+ *
+ * ```
+ * let { authUrl, frob } = await client.auth.getAuthUrl();
+ * ```
+ *
  * #### RTM API Example
  *
  * This example makes an RTM API request using the method `rtm.method` and the
@@ -59,12 +73,60 @@ class RTMClient {
    * @param {string} [perms=RTMClient.PERM_READ] RTM API Client Access Permissions. This
    * should be one of {@link RTMClient.PERM_READ}, {@link RTMClient.PERM_WRITE} or
    * {@link RTMClient.PERM_DELETE}.
+   * @param {object} [options] RTM API Client configuration options.  These
+   * override the default properties in the `config.js` file and any properties
+   * set by environment variables (see {@link RTMClient#config|config}).
+   * @param {object} [options.api] RTM API endpoint properties
+   * @param {string} [options.api.scheme=https] RTM API URL scheme (`RTM_API_SCHEME`)
+   * @param {string} [options.api.url.auth] RTM API Auth URL, without the scheme (`RTM_API_AUTH_URL`)
+   * @param {string} [options.api.url.base] RTM API Base URL, without the scheme (`RTM_API_BASE_URL`)
+   * @param {number} [options.api.version=2] RTM API Version (`RTM_API_VERSION`)
+   * @param {string} [options.api.format=json] RTM API Response Format: `json` or `xml` (the RTM REST
+   * format).  Both formats are parsed into the same response properties.  (`RTM_API_FORMAT`)
+   * @param {object} [options.api.rate] RTM API rate limiting properties (`RTM_RATE_BURSTS`,
+   * `RTM_RATE_BURST_TIMEOUT`, `RTM_RATE_TIMEOUT`, `RTM_RATE_STORE`, `RTM_RATE_DIR`).  See {@link RTMRateLimiter}.
+   * @param {object} [options.retry] Request retry policy (`RTM_RETRY_ATTEMPTS`)
+   * @param {number} [options.timeout=30000] Request timeout (ms), `0` for no timeout (`RTM_TIMEOUT`)
+   * @param {object} [options.post] POST request properties: requests for the RTM API methods in
+   * `post.methods` or with a URL longer than `post.threshold` characters are sent as POST
+   * requests (`RTM_POST_THRESHOLD`)
+   * @param {object} [options.cache] Response cache properties: set `cache.enabled` to cache the responses of the
+   * read methods in `cache.ttl` (by method, in ms) until a write method succeeds for the same User.  The responses
+   * are cached in `memory` or in a `file` store in the `cache.dir` directory (`RTM_CACHE`, `RTM_CACHE_STORE`,
+   * `RTM_CACHE_DIR`).
+   * @param {boolean} [options.coalesce=true] Share a single API request between identical read requests (same User,
+   * method and parameters) that are in flight at the same time (`RTM_COALESCE`)
+   * @param {boolean} [options.debug=false] Log the details of each request to `stderr` (`RTM_DEBUG`)
+   * @param {object} [options.logger] Custom logger (such as `pino` or `winston`) used to log the details of each
+   * request, instead of `stderr`.  Its `debug` and `warn` functions are given each log entry as `(entry, message)`.
+   * @param {object|boolean} [options.proxy] HTTP(S) proxy used by the `node` transport: the proxy `url`
+   * (with optional basic auth credentials) and the `noProxy` hosts to request directly (`RTM_PROXY`,
+   * `RTM_NO_PROXY`).  Defaults to the `HTTPS_PROXY`, `HTTP_PROXY` and `NO_PROXY` environment variables.
+   * Set to `false` to disable the proxy.
+   * @param {object} [options.cassette] Record / replay properties: set `cassette.mode` to `record` to save
+   * the requests and responses to the `cassette.file` fixture file or to `replay` to return the recorded
+   * responses without making any network requests (`RTM_CASSETTE_MODE`, `RTM_CASSETTE_FILE`)
+   * @param {string|function} [options.transport=node] The transport used to send API requests (`RTM_TRANSPORT`)
+   * @param {object} [options.agent] Keep-alive agent properties of the `node` transport: `keepAlive`,
+   * `keepAliveMsecs`, `maxSockets`, `maxFreeSockets` and the socket idle `timeout` (ms) (`RTM_AGENT_KEEP_ALIVE`,
+   * `RTM_AGENT_MAX_SOCKETS`, `RTM_AGENT_MAX_FREE_SOCKETS`, `RTM_AGENT_TIMEOUT`)
+   * @param {string} [options.task_id_cache_file] Path to the Task Index Cache file (`RTM_INDEX_CACHE`)
    * @constructor
    */
-  constructor(key, secret, perms=RTMClient.PERM_READ) {
+  constructor(key, secret, perms=RTMClient.PERM_READ, options={}) {
+    if ( typeof perms === 'object' ) {
+      options = perms;
+      perms = RTMClient.PERM_READ;
+    }
     this._apiKey = key;
     this._apiSecret = secret;
     this._perms = perms;
+    this._config = config.build(options);
+    this._transport = transports.resolve(this._config.transport, this._config);
+    this._middleware = [];
+    this._metrics = new RTMMetrics();
+    this._imported = [];
+    this._upgrades = {};
   }
 
 
@@ -92,6 +154,89 @@ class RTMClient {
     return this._perms;
   }
 
+  /**
+   * Set the RTM API Client Access Permissions
+   * @param {string} perms
+   */
+  set perms(perms) {
+    this._perms = perms;
+  }
+
+  /**
+   * RTM API Client configuration properties.
+   *
+   * These are the default properties from the `config.js` file, overridden
+   * by any set environment variables and then by the options passed to the
+   * constructor.  The configuration is used by all of the requests made by
+   * this Client and its Users.
+   * @type {object}
+   */
+  get config() {
+    return this._config;
+  }
+
+  /**
+   * The {@link RTMRateLimiter} shared by all requests made with this Client's
+   * API Key that are not made for a specific User
+   * @type {RTMRateLimiter}
+   */
+  get rateLimiter() {
+    return RTMRateLimiter.get(this);
+  }
+
+  /**
+   * The {@link RTMMetrics} of the API requests made by this Client and its Users.
+   *
+   * This can be set to a custom metrics object (such as an adapter for another
+   * metrics library) with the same `call(method)`, `retry(method)`,
+   * `error(method, code)`, `wait(method, wait)` and `latency(method, latency)`
+   * functions as `RTMMetrics`.
+   * @type {RTMMetrics}
+   */
+  get metrics() {
+    return this._metrics;
+  }
+
+  /**
+   * Set the metrics object used to record the API requests
+   * @param {RTMMetrics} metrics Metrics object
+   */
+  set metrics(metrics) {
+    this._metrics = metrics;
+  }
+
+  /**
+   * The transport used to send the signed API requests to the RTM API Server.
+   *
+   * This can be set to the name of an included transport (`node` or `fetch`)
+   * or a custom transport function.  A custom transport function is given the
+   * signed request and a callback function and should either call the callback
+   * or return a Promise with the Server's response:
+   *
+   * ```
+   * client.transport = function(request, callback) {
+   *   myHttpClient(request.method, request.url, request.headers, request.body)
+   *     .then(function(res) {
+   *       callback(null, {status: res.statusCode, body: res.text});
+   *     })
+   *     .catch(callback);
+   * };
+   * ```
+   * @type {function}
+   */
+  get transport() {
+    return this._transport;
+  }
+
+  /**
+   * Set the transport used to send the API requests
+   * @param {string|function} transport Transport name (`node` or `fetch`) or custom transport function
+   */
+  set transport(transport) {
+    this.close();
+    this._transport = transports.resolve(transport, this._config);
+  }
+
 
 
   // ===== USER FUNCTIONS ===== //
@@ -123,15 +268,112 @@ class RTMClient {
    *
    * RTM API methods that require an AuthToken should set the `params` `auth_token`
    * property or provide a valid `RTMUser` with an AuthToken.
+   *
+   * Request `options` can be provided as a second object after the `params`.
    * @param {string} method RTM API Method
    * @param {object} [params] RTM Method Parameters (as an object with key/value pairs)
    * @param {RTMUser} [user=undefined] The RTM User making the request
+   * @param {object} [options] Request Options
+   * @param {object|number|boolean} [options.retry] Retry policy for this request: an object
+   * overriding properties of the Client's `retry` configuration, the maximum number of
+   * attempts or `false` to disable retries.  Write methods are only retried when the
+   * request's `retry` option sets `writes: true`
+   * @param {number} [options.timeout] Request timeout (ms) for this request (`0` for no timeout)
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {boolean} [options.post] `true` to send the request as a POST request (with the parameters
+   * in a form-encoded body), `false` to send a GET request
+   * @param {boolean} [options.cache] `false` to skip the response cache for this request
+   * @param {boolean} [options.coalesce] `false` to not share this request with identical in-flight requests
    * @param {function} callback Callback function(err, resp)
    * @param {RTMError} callback.err RTM Error Response, if encountered
    * @param {RTMSuccess} callback.resp The parsed RTM API Response, if successful
+   * @returns {Promise<RTMSuccess>|undefined} When no callback is provided, a
+   * Promise that resolves with the `RTMSuccess` or rejects with the `RTMError`
    */
-  get(method, params, user, callback) {
-    require('../utils/get.js')(method, params, user, this, callback);
+  get(method, params, user, options, callback) {
+    let client = this;
+    return promise.call(function() {
+      let args = Array.prototype.slice.call(arguments);
+      args.push(client);
+      require('../utils/get.js').apply(undefined, args);
+    }, arguments);
+  }
+
+  /**
+   * Check if the Client's permission allows requests for the RTM API method.
+   *
+   * Requests for methods that require a higher permission than the Client's
+   * `perms` are not sent and return a Permission Error (`-10`).  The
+   * permission can be raised with {@link RTMClient~auth/upgrade|auth.upgrade}.
+   * @param {string} method RTM API Method
+   * @returns {boolean} `true` if the Client can make requests for the method
+   */
+  can(method) {
+    return methods.allowed(method, this._perms);
+  }
+
+  /**
+   * Add a middleware function to the Client's request pipeline.
+   *
+   * The middleware functions are run, in the order they were added, for each
+   * of the API requests made by this Client and its Users (including the
+   * requests made by the User's task and list helper functions).  Each
+   * middleware function is given the request context, which it can modify
+   * before the request is signed and sent, and a `next` function:
+   * - `next()` (or `next(null)`) continues with the next middleware function (and the request)
+   * - `next(after)` continues with the next middleware function and calls
+   * `after(err, resp, done)` with the result, which must call `done(err, resp)`
+   * with the original, modified or replaced result
+   * - `next(err, resp)` returns the given result without calling the next
+   * middleware functions or making the request (even when `err` is `null` or
+   * `undefined`)
+   *
+   * ```
+   * client.use(function(ctx, next) {
+   *   ctx.headers['X-Request-Id'] = id;
+   *   next(function(err, resp, done) {
+   *     console.log(ctx.method, ctx.response.status);
+   *     done(err, resp);
+   *   });
+   * });
+   * ```
+   * @param {function} fn Middleware function(ctx, next)
+   * @param {RTMClient~MiddlewareContext} fn.ctx Request Context
+   * @param {function} fn.next Function to continue or short-circuit the pipeline
+   * @returns {RTMClient} This Client, for chaining
+   */
+  use(fn) {
+    if ( typeof fn !== 'function' ) {
+      throw "Middleware must be a function";
+    }
+    this._middleware.push(fn);
+    return this;
+  }
+
+  /**
+   * The middleware functions added to the Client's request pipeline (see
+   * {@link RTMClient#use|use})
+   * @type {function[]}
+   */
+  get middleware() {
+    return this._middleware;
+  }
+
+  /**
+   * Close the Client's persistent connections.
+   *
+   * This destroys the keep-alive agents used by the Client's transport (if
+   * the transport has a `close()` function) and closes the Clients created
+   * for imported Users (see {@link RTMClient~user/import|user.import}).  The
+   * agents are created again if the Client makes another request.
+   */
+  close() {
+    if ( this._transport && typeof this._transport.close === 'function' ) {
+      this._transport.close();
+    }
+    for ( let i = 0; i < this._imported.length; i++ ) {
+      this._imported[i].close();
+    }
   }
 
   /**
@@ -139,7 +381,9 @@ class RTMClient {
    * - {@link RTMClient~auth/getAuthUrl|getAuthUrl}
    * - {@link RTMClient~auth/getAuthToken|getAuthToken}
    * - {@link RTMClient~auth/verifyAuthToken|verifyAuthToken}
-   * @returns {{getAuthUrl: function, getAuthToken: function, verifyAuthToken: function}}
+   * - {@link RTMClient~auth/login|login}
+   * - {@link RTMClient~auth/upgrade|upgrade}
+   * @returns {{getAuthUrl: function, getAuthToken: function, verifyAuthToken: function, login: function, upgrade: function}}
    */
   get auth() {
     return require('./auth.js')(this);
@@ -149,6 +393,49 @@ class RTMClient {
 
 
 
+// ==== TRANSPORT TYPES ==== //
+
+/**
+ * A signed RTM API Request given to the transport
+ * @typedef {Object} RTMClient~TransportRequest
+ * @property {string} method HTTP Method
+ * @property {string} url Signed Request URL
+ * @property {Object} headers HTTP Request Headers
+ * @property {string} [body] HTTP Request Body
+ * @property {AbortSignal} [signal] Signal that is aborted when the request is cancelled or times out (not set on
+ * Node versions without `AbortController`)
+ * @property {function} [abort] Function set by the node transport to cancel the request (on Node versions without
+ * `AbortController`)
+ */
+
+/**
+ * The RTM API Server's Response returned by the transport
+ * @typedef {Object} RTMClient~TransportResponse
+ * @property {number} status HTTP Status Code
+ * @property {Object} [headers] HTTP Response Headers
+ * @property {string} body Raw Response Body
+ */
+
+
+
+
+// ==== MIDDLEWARE TYPES ==== //
+
+/**
+ * The context of an API request given to the Client's middleware functions
+ * @typedef {Object} RTMClient~MiddlewareContext
+ * @property {string} method RTM API Method
+ * @property {Object} params RTM Method Parameters (before they are signed)
+ * @property {RTMUser} [user] The RTM User making the request
+ * @property {RTMClient} client The RTM Client making the request
+ * @property {Object} options Request Options
+ * @property {Object} headers Additional HTTP Request Headers
+ * @property {RTMClient~TransportResponse} [response] The raw response of the last request attempt
+ * @property {RTMError} [err] RTM Error Response, once the request is complete
+ * @property {RTMSuccess} [resp] RTM Success Response, once the request is complete
+ */
+
+
 // ==== RTM API PERMISSION LEVELS ==== //
 
 /**
@@ -179,4 +466,14 @@ RTMClient.PERM_DELETE = 'delete';
 
 
 
+// ==== SESSION MANAGER ==== //
+
+/**
+ * The {@link RTMSessionManager} Class, used to keep the sessions of several RTM accounts
+ * @type {RTMSessionManager}
+ */
+RTMClient.RTMSessionManager = require('../session/index.js');
+
+
+
 module.exports = RTMClient;
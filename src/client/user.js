@@ -2,12 +2,14 @@
 
 const RTMClient = require('./index.js');
 const RTMUser = require('../user/index.js');
+const promise = require('../utils/promise.js');
+const credentials = require('../utils/credentials.js');
 
 
 /**
  * This module returns the user-related functions for RTMClient
  * @param {RTMClient} client RTMClient instance
- * @returns {{create: function, export: function, exportToString: function, import: function, importFromString: function}}
+ * @returns {{create: function, export: function, exportToString: function, import: function, importFromString: function, save: function, load: function, profiles: function, removeProfile: function, rekey: function}}
  */
 module.exports = function(client) {
   let rtn = {};
@@ -48,17 +50,17 @@ module.exports = function(client) {
       authToken: user.authToken,
       timeline: user._timeline
     };
-    if ( user.client ) {
+    if ( user._client ) {
       rtn.client = {
-        apiKey: user.client.key,
-        apiSecret: user.client.secret,
-        perms: user.client.perms
+        apiKey: user._client.key,
+        apiSecret: user._client.secret,
+        perms: user._client.perms
       }
     }
     else {
       rtn.client = {
         apiKey: client.key,
-        apiSecret: client.key,
+        apiSecret: client.secret,
         perms: client.perms
       }
     }
@@ -77,7 +79,12 @@ module.exports = function(client) {
   };
 
   /**
-   * Create a new `RTMUser` from an exported User's properties
+   * Create a new `RTMUser` from an exported User's properties.
+   *
+   * The User uses this `RTMClient` when the exported Client has the same API Key,
+   * Secret and permission.  Otherwise, the User gets a Client with the exported
+   * properties (and this Client's configuration), which is shared by the imported
+   * Users with the same Client properties and is closed by this Client's `close()`.
    * @param {Object} properties The RTM User's required properties
    * @returns {RTMUser}
    * @function RTMClient~user/import
@@ -89,7 +96,7 @@ module.exports = function(client) {
         user.timeline = properties.timeline;
       }
       if ( properties.client ) {
-        user.client = new RTMClient(properties.client.apiKey, properties.client.apiSecret, properties.client.perms);
+        user.client = _importedClient(properties.client);
       }
       return user;
     }
@@ -108,5 +115,229 @@ module.exports = function(client) {
     return rtn.import(JSON.parse(string));
   };
 
+
+  // ==== ENCRYPTED CREDENTIAL STORE ==== //
+
+  /**
+   * Save the User's exported properties (see {@link RTMClient~user/export|export}) as a
+   * named profile in an encrypted credential file.
+   *
+   * The profile is encrypted (AES-256-GCM) with a key derived from the passphrase
+   * (scrypt).  All of the profiles in a credential file use the same passphrase: when
+   * the file already exists, the passphrase must be able to decrypt its profiles.  The
+   * changes to the same credential file (`save`, `removeProfile` and `rekey`) are made
+   * one at a time.
+   * @param {RTMUser} user The RTMUser to save
+   * @param {string} file Path to the credential file
+   * @param {string} passphrase Passphrase of the credential file
+   * @param {object} [options] Save Options
+   * @param {string} [options.profile=default] Profile name
+   * @param {function} callback Callback function(err)
+   * @returns {Promise|undefined} When no callback is provided, a Promise that resolves
+   * when the profile is saved
+   * @function RTMClient~user/save
+   */
+  rtn.save = promise.promisify(function(user, file, passphrase, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
+    let name = options.profile || 'default';
+    credentials.lock(file, function(done) {
+      _open(file, passphrase, true, function(err, store, key) {
+        if ( err ) {
+          return done(err);
+        }
+        store.profiles[name] = credentials.seal(key, name, rtn.export(user));
+        credentials.write(file, store, done);
+      });
+    }, callback);
+  });
+
+  /**
+   * Load a User from a named profile of an encrypted credential file.
+   *
+   * The profile is decrypted and its integrity is verified before the `RTMUser`
+   * (and its `RTMClient`) is created (see {@link RTMClient~user/import|import}).
+   * @param {string} file Path to the credential file
+   * @param {string} passphrase Passphrase of the credential file
+   * @param {object} [options] Load Options
+   * @param {string} [options.profile=default] Profile name
+   * @param {function} callback Callback function(err, user)
+   * @param {string} callback.err Error, if the profile could not be loaded (such as a wrong
+   * passphrase or a modified file)
+   * @param {RTMUser} callback.user The loaded RTM User
+   * @returns {Promise<RTMUser>|undefined} When no callback is provided, a Promise
+   * that resolves with the RTM User
+   * @function RTMClient~user/load
+   */
+  rtn.load = promise.promisify(function(file, passphrase, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
+    let name = options.profile || 'default';
+    _open(file, passphrase, false, function(err, store, key) {
+      if ( err ) {
+        return callback(err);
+      }
+      if ( !store.profiles.hasOwnProperty(name) ) {
+        return callback("Profile " + name + " not found in credential file " + file);
+      }
+      let user = undefined;
+      try {
+        user = rtn.import(credentials.open(key, name, store.profiles[name]));
+      }
+      catch(exception) {
+        return callback(exception);
+      }
+      return callback(null, user);
+    });
+  });
+
+  /**
+   * Get the names of the profiles in a credential file (the profile names are
+   * not encrypted)
+   * @param {string} file Path to the credential file
+   * @param {function} callback Callback function(err, profiles)
+   * @param {string[]} callback.profiles Profile names (empty if the file does not exist)
+   * @returns {Promise<string[]>|undefined} When no callback is provided, a Promise
+   * that resolves with the profile names
+   * @function RTMClient~user/profiles
+   */
+  rtn.profiles = promise.promisify(function(file, callback) {
+    credentials.read(file, function(err, store) {
+      if ( err ) {
+        return callback(err);
+      }
+      return callback(null, store ? Object.keys(store.profiles) : []);
+    });
+  });
+
+  /**
+   * Remove a named profile from a credential file
+   * @param {string} file Path to the credential file
+   * @param {string} passphrase Passphrase of the credential file
+   * @param {string} profile Profile name
+   * @param {function} callback Callback function(err)
+   * @returns {Promise|undefined} When no callback is provided, a Promise that resolves
+   * when the profile is removed
+   * @function RTMClient~user/removeProfile
+   */
+  rtn.removeProfile = promise.promisify(function(file, passphrase, profile, callback) {
+    credentials.lock(file, function(done) {
+      _open(file, passphrase, false, function(err, store) {
+        if ( err ) {
+          return done(err);
+        }
+        delete store.profiles[profile];
+        credentials.write(file, store, done);
+      });
+    }, callback);
+  });
+
+  /**
+   * Change the passphrase of a credential file.  All of its profiles are decrypted
+   * and verified with the current passphrase and encrypted again with a key derived
+   * from the new passphrase (and a new salt).
+   * @param {string} file Path to the credential file
+   * @param {string} passphrase Current passphrase of the credential file
+   * @param {string} newPassphrase New passphrase
+   * @param {function} callback Callback function(err)
+   * @returns {Promise|undefined} When no callback is provided, a Promise that resolves
+   * when the credential file is saved with the new passphrase
+   * @function RTMClient~user/rekey
+   */
+  rtn.rekey = promise.promisify(function(file, passphrase, newPassphrase, callback) {
+    credentials.lock(file, function(done) {
+      _open(file, passphrase, false, function(err, store, key) {
+        if ( err ) {
+          return done(err);
+        }
+
+        // Decrypt the profiles with the current key
+        let profiles = {};
+        try {
+          for ( let name in store.profiles ) {
+            if ( store.profiles.hasOwnProperty(name) ) {
+              profiles[name] = credentials.open(key, name, store.profiles[name]);
+            }
+          }
+        }
+        catch(exception) {
+          return done(exception);
+        }
+
+        // Encrypt the profiles with the new key
+        let rekeyed = credentials.create();
+        credentials.key(rekeyed, newPassphrase, function(err, newKey) {
+          if ( err ) {
+            return done(err);
+          }
+          for ( let name in profiles ) {
+            if ( profiles.hasOwnProperty(name) ) {
+              rekeyed.profiles[name] = credentials.seal(newKey, name, profiles[name]);
+            }
+          }
+          credentials.write(file, rekeyed, done);
+        });
+      });
+    }, callback);
+  });
+
+  /**
+   * Get the RTM Client of an imported User: this Client, if it has the same
+   * API Key, Secret and permission, or the Client created for the same
+   * exported Client properties by a previous import
+   * @param {{apiKey: string, apiSecret: string, perms: string}} props Exported Client properties
+   * @returns {RTMClient}
+   * @private
+   */
+  function _importedClient(props) {
+    let clients = [client].concat(client._imported);
+    for ( let i = 0; i < clients.length; i++ ) {
+      if ( clients[i].key === props.apiKey && clients[i].secret === props.apiSecret && clients[i].perms === props.perms ) {
+        return clients[i];
+      }
+    }
+    let rtn = new RTMClient(props.apiKey, props.apiSecret, props.perms, client.config);
+    client._imported.push(rtn);
+    return rtn;
+  }
+
+  /**
+   * Read the credential file and derive its key from the passphrase
+   * @param {string} file Path to the credential file
+   * @param {string} passphrase Passphrase of the credential file
+   * @param {boolean} create `true` to create a new store if the file does not exist
+   * @param {function} callback Callback function(err, store, key)
+   * @private
+   */
+  function _open(file, passphrase, create, callback) {
+    credentials.read(file, function(err, store) {
+      if ( err ) {
+        return callback(err);
+      }
+      if ( !store ) {
+        if ( !create ) {
+          return callback("Credential file not found: " + file);
+        }
+        store = credentials.create();
+      }
+      credentials.key(store, passphrase, function(err, key) {
+        if ( err ) {
+          return callback(err);
+        }
+        try {
+          credentials.verify(key, store);
+        }
+        catch(exception) {
+          return callback(exception);
+        }
+        return callback(null, store, key);
+      });
+    });
+  }
+
   return rtn;
 };
\ No newline at end of file
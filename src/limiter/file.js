@@ -0,0 +1,197 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const bucket = require('./memory.js').bucket;
+
+
+/**
+ * ### File Rate Limit Store
+ *
+ * This store keeps the token bucket state of each rate limiter key in a
+ * file in the specified directory, so that separate processes on the same
+ * machine share the same rate limits.  Each update of a bucket is made while
+ * holding an exclusive lock file for the key.
+ * @module limiter/file
+ * @private
+ */
+
+
+/**
+ * Time (ms) after which a lock file is considered stale
+ * @type {number}
+ * @private
+ */
+const STALE_LOCK = 5000;
+
+/**
+ * Time (ms) to wait before trying to acquire a held lock again
+ * @type {number}
+ * @private
+ */
+const LOCK_RETRY = 10;
+
+
+/**
+ * Create a new file store that keeps its files in the specified directory
+ * @param {string} dir Directory for the bucket and lock files
+ * @returns {{take: function, block: function, peek: function}}
+ * @private
+ */
+module.exports = function(dir) {
+  let rtn = {};
+
+  /**
+   * Try to take a token from the key's bucket.  The token is not taken if it
+   * is no longer needed once the bucket's lock is acquired.
+   * @param {string} key Rate Limiter key
+   * @param {object} rate Rate limit configuration properties
+   * @param {function} callback Callback function(err, wait) where wait is `0`
+   * when a token was taken, `-1` when the token is no longer needed or the time
+   * (ms) until the next token is available
+   * @param {function} [needed] Function() that returns `false` when the token is no longer needed
+   * @private
+   */
+  rtn.take = function(key, rate, callback, needed) {
+    _update(key, rate, function(b, now) {
+      if ( needed && !needed() ) {
+        return -1;
+      }
+      return bucket.take(b, rate, now);
+    }, callback);
+  };
+
+  /**
+   * Block the key's bucket for the specified time
+   * @param {string} key Rate Limiter key
+   * @param {object} rate Rate limit configuration properties
+   * @param {number} wait Time (ms) to block requests
+   * @param {function} [callback] Callback function(err)
+   * @private
+   */
+  rtn.block = function(key, rate, wait, callback) {
+    _update(key, rate, function(b, now) {
+      bucket.block(b, now, wait);
+    }, function(err) {
+      if ( callback ) {
+        return callback(err);
+      }
+    });
+  };
+
+  /**
+   * Get the time (ms) until the key's next token is available.  The bucket
+   * file is read without acquiring the lock.
+   * @param {string} key Rate Limiter key
+   * @param {object} rate Rate limit configuration properties
+   * @returns {number}
+   * @private
+   */
+  rtn.peek = function(key, rate) {
+    let now = new Date().getTime();
+    let b = _read(_file(key), rate, now);
+    return bucket.wait(bucket.refill(b, rate, now), rate, now);
+  };
+
+
+  /**
+   * Update the key's bucket while holding its lock
+   * @param {string} key Rate Limiter key
+   * @param {object} rate Rate limit configuration properties
+   * @param {function} fn Function(bucket, now) that updates the bucket
+   * @param {function} callback Callback function(err, result) with the result of fn
+   * @private
+   */
+  function _update(key, rate, fn, callback) {
+    let file = _file(key);
+    _lock(file + '.lock', function(err, unlock) {
+      if ( err ) {
+        return callback(err);
+      }
+      let result = undefined;
+      try {
+        let now = new Date().getTime();
+        let b = bucket.refill(_read(file, rate, now), rate, now);
+        result = fn(b, now);
+        fs.writeFileSync(file, JSON.stringify(b));
+      }
+      catch(exception) {
+        err = exception;
+      }
+      unlock();
+      return callback(err, result);
+    });
+  }
+
+  /**
+   * Get the path to the bucket file for the key
+   * @param {string} key Rate Limiter key
+   * @returns {string}
+   * @private
+   */
+  function _file(key) {
+    let hash = crypto.createHash('md5').update(key).digest('hex');
+    return path.join(dir, 'rtm-rate-' + hash + '.json');
+  }
+
+  /**
+   * Read the bucket file (or create a new bucket)
+   * @param {string} file Bucket file
+   * @param {object} rate Rate limit configuration properties
+   * @param {number} now Current time (ms)
+   * @returns {{tokens: number, updated: number, next: number}}
+   * @private
+   */
+  function _read(file, rate, now) {
+    try {
+      let b = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if ( typeof b.tokens === 'number' && typeof b.updated === 'number' && typeof b.next === 'number' ) {
+        return b;
+      }
+    }
+    catch(exception) {}
+    return bucket.create(rate, now);
+  }
+
+  /**
+   * Acquire the lock file, waiting for it to be released by another process
+   * @param {string} lock Lock file
+   * @param {function} callback Callback function(err, unlock)
+   * @private
+   */
+  function _lock(lock, callback) {
+    try {
+      fs.mkdirSync(dir, {recursive: true});
+      let fd = fs.openSync(lock, 'wx');
+      fs.closeSync(fd);
+      return callback(null, function() {
+        try {
+          fs.unlinkSync(lock);
+        }
+        catch(exception) {}
+      });
+    }
+    catch(exception) {
+      if ( exception.code !== 'EEXIST' ) {
+        return callback(exception);
+      }
+    }
+
+    // Remove a stale lock
+    try {
+      let stat = fs.statSync(lock);
+      if ( new Date().getTime() - stat.mtime.getTime() > STALE_LOCK ) {
+        fs.unlinkSync(lock);
+      }
+    }
+    catch(exception) {}
+
+    // Try again
+    setTimeout(function() {
+      _lock(lock, callback);
+    }, LOCK_RETRY);
+  }
+
+  return rtn;
+};
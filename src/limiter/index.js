@@ -0,0 +1,213 @@
+'use strict';
+
+const os = require('os');
+const path = require('path');
+const memory = require('./memory.js');
+const file = require('./file.js');
+
+// Rate Limiters, by store and key (and rate limit settings)
+let LIMITERS = new Map();
+
+// File Stores, by directory
+let FILE_STORES = {};
+
+
+/**
+ * ### RTM Rate Limiter
+ *
+ * This Class is used to limit the rate of requests made to the RTM API
+ * Server.  A rate limiter is shared by all of the requests made with the same
+ * API Key for the same User (including requests made by different `RTMClient`
+ * and `RTMUser` instances).
+ *
+ * The rate limiter uses a token bucket: the bucket holds up to `rate.bursts`
+ * tokens and one token is added every `rate.timeout` ms.  Each request takes
+ * one token and requests are spaced at least `rate.burstTimeout` ms apart.
+ * Once the bucket has run out of tokens, bursts are available again after
+ * `rate.burstWait` ms (until then, requests are made every `rate.timeout` ms).
+ * Requests waiting for a token are kept in a first-in, first-out queue.
+ *
+ * By default, the token buckets are kept in memory and shared within the
+ * process.  When the `rate.store` configuration property is set to `file`,
+ * the token buckets are kept in lock-protected files in the `rate.dir`
+ * directory so separate processes on the same machine share the same limits.
+ * A custom store can be used by setting `rate.store` to an object with the
+ * same `take(key, rate, callback, needed)`, `block(key, rate, wait, callback)` and
+ * `peek(key, rate)` functions as the included stores.
+ *
+ * Clients with different rate limit settings get their own rate limiters (and
+ * queues), but the requests for the same API Key and User still share the
+ * same token bucket.
+ *
+ * #### Usage
+ *
+ * The rate limiter for a User's requests is available from the `RTMUser`:
+ *
+ * ```
+ * let limiter = user.rateLimiter;
+ * console.log(limiter.queueDepth);   // number of queued requests
+ * console.log(limiter.nextSlot);     // time (ms) until the next request can be made
+ * ```
+ * @class
+ */
+class RTMRateLimiter {
+
+  /**
+   * Create a new RTM Rate Limiter.  Use {@link RTMRateLimiter.get} to get
+   * the shared rate limiter for a Client and User.
+   * @param {string} key Rate Limiter key
+   * @param {object} rate Rate limit configuration properties
+   * @param {object} store Token bucket store
+   * @constructor
+   */
+  constructor(key, rate, store) {
+    this._key = key;
+    this._rate = rate;
+    this._store = store;
+    this._queue = [];
+    this._timer = undefined;
+    this._busy = false;
+  }
+
+  /**
+   * The number of requests waiting in the queue
+   * @type {number}
+   */
+  get queueDepth() {
+    return this._queue.length;
+  }
+
+  /**
+   * The time (ms) until the next request slot is available
+   * @type {number}
+   */
+  get nextSlot() {
+    try {
+      return this._store.peek(this._key, this._rate);
+    }
+    catch(exception) {
+      return memory.peek(this._key, this._rate);
+    }
+  }
+
+  /**
+   * Wait in the queue for the next available request slot
+   * @param {function} callback Callback function() called when the request can be made
+   * @returns {{cancel: function}} Handle used to remove the request from the queue
+   */
+  acquire(callback) {
+    let limiter = this;
+    let item = {
+      callback: callback
+    };
+    this._queue.push(item);
+    this._process();
+    return {
+      cancel: function() {
+        let index = limiter._queue.indexOf(item);
+        if ( index > -1 ) {
+          limiter._queue.splice(index, 1);
+        }
+        if ( limiter._queue.length === 0 && limiter._timer !== undefined ) {
+          clearTimeout(limiter._timer);
+          limiter._timer = undefined;
+        }
+      }
+    };
+  }
+
+  /**
+   * Block all requests for the specified time (such as after the RTM API
+   * Server returned a Rate Limit Error)
+   * @param {number} wait Time (ms) to block requests
+   */
+  block(wait) {
+    let limiter = this;
+    this._store.block(this._key, this._rate, wait, function(err) {
+      if ( err ) {
+        memory.block(limiter._key, limiter._rate, wait);
+      }
+    });
+  }
+
+  /**
+   * Release the queued requests as request slots become available
+   * @private
+   */
+  _process() {
+    let limiter = this;
+    if ( this._busy || this._timer !== undefined || this._queue.length === 0 ) {
+      return;
+    }
+
+    // Take a token from the store (only if a request is still waiting for it)
+    this._busy = true;
+    let needed = function() {
+      return limiter._queue.length > 0;
+    };
+    this._store.take(this._key, this._rate, function(err, wait) {
+      if ( err ) {
+        return memory.take(limiter._key, limiter._rate, _taken, needed);
+      }
+      return _taken(null, wait);
+    }, needed);
+
+    function _taken(err, wait) {
+      limiter._busy = false;
+      if ( wait < 0 ) {
+        return limiter._process();
+      }
+      if ( wait === 0 ) {
+        let item = limiter._queue.shift();
+        if ( item ) {
+          item.callback();
+        }
+        return limiter._process();
+      }
+      limiter._timer = setTimeout(function() {
+        limiter._timer = undefined;
+        limiter._process();
+      }, wait);
+    }
+  }
+
+}
+
+
+/**
+ * Get the shared rate limiter for the requests made by the Client and User
+ * @param {RTMClient} client The RTM Client making the requests
+ * @param {RTMUser} [user] The RTM User making the requests
+ * @returns {RTMRateLimiter}
+ */
+RTMRateLimiter.get = function(client, user) {
+  let rate = client.config.api.rate;
+  let key = client.key + (user ? ':' + user.id : '');
+  let settings = [rate.bursts, rate.burstTimeout, rate.burstWait, rate.timeout].join(':');
+
+  // Get the Store
+  let store = memory;
+  if ( rate.store === 'file' ) {
+    let dir = rate.dir ? rate.dir : path.join(os.tmpdir(), 'rtm-api-rate');
+    if ( FILE_STORES[dir] === undefined ) {
+      FILE_STORES[dir] = file(dir);
+    }
+    store = FILE_STORES[dir];
+  }
+  else if ( rate.store && typeof rate.store === 'object' ) {
+    store = rate.store;
+  }
+
+  // Get the shared Rate Limiter of the rate limit settings
+  if ( !LIMITERS.has(store) ) {
+    LIMITERS.set(store, {});
+  }
+  let limiters = LIMITERS.get(store);
+  if ( limiters[key + '@' + settings] === undefined ) {
+    limiters[key + '@' + settings] = new RTMRateLimiter(key, rate, store);
+  }
+  return limiters[key + '@' + settings];
+};
+
+
+module.exports = RTMRateLimiter;
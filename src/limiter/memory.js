@@ -0,0 +1,190 @@
+'use strict';
+
+
+/**
+ * ### In-Memory Rate Limit Store
+ *
+ * This store keeps the token bucket state of each rate limiter key in
+ * memory.  The state is shared by all of the `RTMClient`s and `RTMUser`s
+ * in the same process.
+ * @module limiter/memory
+ * @private
+ */
+
+
+// Token Bucket State, by key
+let BUCKETS = {};
+
+
+/**
+ * Try to take a token from the key's bucket
+ * @param {string} key Rate Limiter key
+ * @param {object} rate Rate limit configuration properties
+ * @param {function} callback Callback function(err, wait) where wait is `0`
+ * when a token was taken, `-1` when the token is no longer needed or the time
+ * (ms) until the next token is available
+ * @param {function} [needed] Function() that returns `false` when the token is no longer needed
+ * @private
+ */
+function take(key, rate, callback, needed) {
+  if ( needed && !needed() ) {
+    return callback(null, -1);
+  }
+  let now = new Date().getTime();
+  let bucket = _refill(key, rate, now);
+  return callback(null, _take(bucket, rate, now));
+}
+
+/**
+ * Block the key's bucket for the specified time
+ * @param {string} key Rate Limiter key
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} wait Time (ms) to block requests
+ * @param {function} [callback] Callback function(err)
+ * @private
+ */
+function block(key, rate, wait, callback) {
+  let now = new Date().getTime();
+  let bucket = _refill(key, rate, now);
+  _block(bucket, now, wait);
+  if ( callback ) {
+    return callback(null);
+  }
+}
+
+/**
+ * Get the time (ms) until the key's next token is available
+ * @param {string} key Rate Limiter key
+ * @param {object} rate Rate limit configuration properties
+ * @returns {number}
+ * @private
+ */
+function peek(key, rate) {
+  let now = new Date().getTime();
+  return _wait(_refill(key, rate, now), rate, now);
+}
+
+
+/**
+ * Get the key's bucket, adding the tokens accumulated since its last update
+ * @param {string} key Rate Limiter key
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} now Current time (ms)
+ * @returns {{tokens: number, updated: number, next: number}}
+ * @private
+ */
+function _refill(key, rate, now) {
+  if ( BUCKETS[key] === undefined ) {
+    BUCKETS[key] = create(rate, now);
+  }
+  return refill(BUCKETS[key], rate, now);
+}
+
+
+
+// ==== TOKEN BUCKET FUNCTIONS ==== //
+
+
+/**
+ * Create a new full token bucket
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} now Current time (ms)
+ * @returns {{tokens: number, updated: number, next: number}}
+ * @private
+ */
+function create(rate, now) {
+  return {
+    tokens: rate.bursts,
+    updated: now,
+    next: now
+  };
+}
+
+/**
+ * Add the tokens accumulated since the bucket's last update.  One token
+ * is added every `rate.timeout` ms, up to `rate.bursts` tokens.  Once the
+ * bucket has run out of tokens, it holds up to one token until
+ * `rate.burstWait` ms have passed, when it is filled again.
+ * @param {{tokens: number, updated: number, next: number}} bucket Token Bucket
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} now Current time (ms)
+ * @returns {{tokens: number, updated: number, next: number}}
+ * @private
+ */
+function refill(bucket, rate, now) {
+  let elapsed = Math.max(0, now - bucket.updated);
+  let max = rate.bursts;
+  if ( bucket.emptied !== undefined && rate.burstWait && now - bucket.emptied < rate.burstWait ) {
+    max = Math.min(1, rate.bursts);
+  }
+  else if ( bucket.emptied !== undefined ) {
+    delete bucket.emptied;
+    if ( rate.burstWait ) {
+      bucket.tokens = rate.bursts;
+    }
+  }
+  bucket.tokens = Math.min(max, bucket.tokens + elapsed / rate.timeout);
+  bucket.updated = now;
+  return bucket;
+}
+
+/**
+ * Get the time (ms) until the next token is available in the bucket
+ * @param {{tokens: number, updated: number, next: number}} bucket Token Bucket
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} now Current time (ms)
+ * @returns {number}
+ * @private
+ */
+function _wait(bucket, rate, now) {
+  let spacing = Math.max(0, bucket.next - now);
+  let refilling = bucket.tokens >= 1 ? 0 : Math.ceil((1 - bucket.tokens) * rate.timeout);
+  return Math.max(spacing, refilling);
+}
+
+/**
+ * Take a token from the bucket, if available.  Requests that take a token
+ * are spaced at least `rate.burstTimeout` ms apart.
+ * @param {{tokens: number, updated: number, next: number}} bucket Token Bucket
+ * @param {object} rate Rate limit configuration properties
+ * @param {number} now Current time (ms)
+ * @returns {number} `0` if a token was taken or the time (ms) until the next token is available
+ * @private
+ */
+function _take(bucket, rate, now) {
+  let wait = _wait(bucket, rate, now);
+  if ( wait === 0 ) {
+    bucket.tokens = bucket.tokens - 1;
+    bucket.next = now + rate.burstTimeout;
+    if ( rate.burstWait && bucket.tokens < 1 && bucket.emptied === undefined ) {
+      bucket.emptied = now;
+    }
+  }
+  return wait;
+}
+
+/**
+ * Block the bucket for the specified time and remove its tokens
+ * @param {{tokens: number, updated: number, next: number}} bucket Token Bucket
+ * @param {number} now Current time (ms)
+ * @param {number} wait Time (ms) to block requests
+ * @private
+ */
+function _block(bucket, now, wait) {
+  bucket.tokens = 0;
+  bucket.next = Math.max(bucket.next, now + wait);
+}
+
+
+module.exports = {
+  take: take,
+  block: block,
+  peek: peek,
+  bucket: {
+    create: create,
+    refill: refill,
+    wait: _wait,
+    take: _take,
+    block: _block
+  }
+};
@@ -1,16 +1,23 @@
 'use strict';
 
 const RTMList = require('./index.js');
+const transactions = require('../utils/transactions.js');
 
 
 /**
  * API Call: rtm.lists.getList
  * @param user RTMUser
+ * @param {object} [options] Request Options
  * @param callback Callback function(err, lists)
  * @private
  */
-function get(user, callback) {
-  user.get('rtm.lists.getList', function(err, resp) {
+function get(user, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+
+  user.get('rtm.lists.getList', {}, options, function(err, resp) {
     if ( err ) {
       return callback(err);
     }
@@ -37,17 +44,23 @@ function get(user, callback) {
  * @param name RTM List Name
  * @param [filter] RTM Smart List Filter
  * @param user RTMUser
- * @param callback Callback function(err)
+ * @param {object} [options] Request Options
+ * @param callback Callback function(err, transaction)
  * @private
  */
-function add(name, filter, user, callback) {
+function add(name, filter, user, options, callback) {
 
   // Parse Parameters
-  if ( callback === undefined && typeof user === 'function' ) {
-    callback = user;
+  if ( filter !== undefined && typeof filter === 'object' ) {
+    callback = options;
+    options = user;
     user = filter;
     filter = undefined;
   }
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
 
   // Invalid List Names
   if ( name === 'Inbox' || name === 'Sent' ) {
@@ -64,8 +77,8 @@ function add(name, filter, user, callback) {
   }
 
   // Add List
-  user.get('rtm.lists.add', params, function(err) {
-    return callback(err);
+  user.get('rtm.lists.add', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -73,16 +86,17 @@ function add(name, filter, user, callback) {
  * API Call: rtm.lists.delete
  * @param id RTM List ID
  * @param user RTMUser
- * @param callback Callback function(err)
+ * @param {object} [options] Request Options
+ * @param callback Callback function(err, transaction)
  * @private
  */
-function remove(id, user, callback) {
+function remove(id, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: id
   };
-  user.get('rtm.lists.delete', params,  function(err) {
-    return callback(err);
+  user.get('rtm.lists.delete', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -91,17 +105,18 @@ function remove(id, user, callback) {
  * @param id RTM List ID
  * @param name New RTM List Name
  * @param user RTMUser
- * @param callback Callback function(err)
+ * @param {object} [options] Request Options
+ * @param callback Callback function(err, transaction)
  * @private
  */
-function rename(id, name, user, callback) {
+function rename(id, name, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: id,
     name: name
   };
-  user.get('rtm.lists.setName', params, function(err) {
-    return callback(err);
+  user.get('rtm.lists.setName', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -109,16 +124,17 @@ function rename(id, name, user, callback) {
  * API Call: rtm.lists.archive
  * @param id RTM List ID
  * @param user RTMUser
- * @param callback Callback function(err)
+ * @param {object} [options] Request Options
+ * @param callback Callback function(err, transaction)
  * @private
  */
-function archive(id, user, callback) {
+function archive(id, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: id
   };
-  user.get('rtm.lists.archive', params,  function(err) {
-    return callback(err);
+  user.get('rtm.lists.archive', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
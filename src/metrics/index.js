@@ -0,0 +1,263 @@
+'use strict';
+
+const http = require('http');
+
+
+/**
+ * Latency histogram bucket boundaries (ms)
+ * @type {number[]}
+ * @private
+ */
+const BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+
+/**
+ * ### RTM API Metrics
+ *
+ * This Class collects the usage metrics of the API requests made by an
+ * {@link RTMClient} and its Users.  For each RTM API method, it counts the
+ * number of calls, retries and errors (by `RTMError` code) and records the
+ * time spent waiting for the rate limiter and a histogram of the request
+ * latencies.  Calls made by the helper functions are counted by the RTM API
+ * methods they use (for example, `tasks.getTask` counts a call to both
+ * `rtm.lists.getList` and `rtm.tasks.getList`).
+ *
+ * #### Usage
+ *
+ * The metrics are available from the `RTMClient`:
+ *
+ * ```
+ * let snapshot = client.metrics.snapshot();
+ * console.log(snapshot['rtm.tasks.getList'].calls);
+ *
+ * // Serve the metrics in the Prometheus text format
+ * client.metrics.serve(9400);
+ * ```
+ * @class
+ */
+class RTMMetrics {
+
+  /**
+   * Create a new (empty) RTM Metrics collection
+   * @param {number[]} [buckets] Latency histogram bucket boundaries (ms)
+   * @constructor
+   */
+  constructor(buckets=BUCKETS) {
+    this._buckets = buckets.slice().sort(function(a, b) { return a - b; });
+    this._methods = {};
+  }
+
+  /**
+   * Record a call to the RTM API method
+   * @param {string} method RTM API Method
+   */
+  call(method) {
+    this._method(method).calls++;
+  }
+
+  /**
+   * Record a retry of a request to the RTM API method
+   * @param {string} method RTM API Method
+   */
+  retry(method) {
+    this._method(method).retries++;
+  }
+
+  /**
+   * Record a failed call to the RTM API method
+   * @param {string} method RTM API Method
+   * @param {number} code RTM Error Code
+   */
+  error(method, code) {
+    let errors = this._method(method).errors;
+    errors[code] = (errors[code] || 0) + 1;
+  }
+
+  /**
+   * Record the time a request to the RTM API method waited for the rate limiter
+   * @param {string} method RTM API Method
+   * @param {number} wait Wait time (ms)
+   */
+  wait(method, wait) {
+    this._method(method).wait += wait;
+  }
+
+  /**
+   * Record the latency of a request to the RTM API method
+   * @param {string} method RTM API Method
+   * @param {number} latency Request latency (ms)
+   */
+  latency(method, latency) {
+    let histogram = this._method(method).latency;
+    for ( let i = 0; i < this._buckets.length; i++ ) {
+      if ( latency <= this._buckets[i] ) {
+        histogram.buckets[i]++;
+      }
+    }
+    histogram.count++;
+    histogram.sum += latency;
+  }
+
+  /**
+   * Get a snapshot of the current metrics, by RTM API method.  Each method has
+   * the properties:
+   * - `calls`: number of calls
+   * - `retries`: number of retried requests
+   * - `errors`: number of failed calls, by RTM Error code
+   * - `wait`: total time (ms) spent waiting for the rate limiter
+   * - `latency`: histogram of the request latencies, with the cumulative `buckets`
+   * (by upper bound in ms), the `count` of requests and the `sum` of latencies (ms)
+   * @returns {Object}
+   */
+  snapshot() {
+    let rtn = {};
+    for ( let method in this._methods ) {
+      if ( this._methods.hasOwnProperty(method) ) {
+        let m = this._methods[method];
+        let buckets = {};
+        for ( let i = 0; i < this._buckets.length; i++ ) {
+          buckets[this._buckets[i]] = m.latency.buckets[i];
+        }
+        rtn[method] = {
+          calls: m.calls,
+          retries: m.retries,
+          errors: Object.assign({}, m.errors),
+          wait: m.wait,
+          latency: {
+            buckets: buckets,
+            count: m.latency.count,
+            sum: m.latency.sum
+          }
+        };
+      }
+    }
+    return rtn;
+  }
+
+  /**
+   * Clear all of the collected metrics
+   */
+  reset() {
+    this._methods = {};
+  }
+
+  /**
+   * Get the metrics in the Prometheus text exposition format
+   * @returns {string}
+   */
+  toPrometheus() {
+    let snapshot = this.snapshot();
+    let lines = [];
+
+    lines.push('# HELP rtm_api_calls_total Number of RTM API calls');
+    lines.push('# TYPE rtm_api_calls_total counter');
+    _each(snapshot, function(label, m) {
+      lines.push('rtm_api_calls_total{' + label + '} ' + m.calls);
+    });
+
+    lines.push('# HELP rtm_api_retries_total Number of retried RTM API requests');
+    lines.push('# TYPE rtm_api_retries_total counter');
+    _each(snapshot, function(label, m) {
+      lines.push('rtm_api_retries_total{' + label + '} ' + m.retries);
+    });
+
+    lines.push('# HELP rtm_api_errors_total Number of failed RTM API calls, by RTM Error code');
+    lines.push('# TYPE rtm_api_errors_total counter');
+    _each(snapshot, function(label, m) {
+      for ( let code in m.errors ) {
+        if ( m.errors.hasOwnProperty(code) ) {
+          lines.push('rtm_api_errors_total{' + label + ',code="' + code + '"} ' + m.errors[code]);
+        }
+      }
+    });
+
+    lines.push('# HELP rtm_api_rate_limit_wait_seconds_total Time spent waiting for the rate limiter');
+    lines.push('# TYPE rtm_api_rate_limit_wait_seconds_total counter');
+    _each(snapshot, function(label, m) {
+      lines.push('rtm_api_rate_limit_wait_seconds_total{' + label + '} ' + m.wait/1000);
+    });
+
+    lines.push('# HELP rtm_api_request_duration_seconds RTM API request latency');
+    lines.push('# TYPE rtm_api_request_duration_seconds histogram');
+    _each(snapshot, function(label, m) {
+      for ( let bucket in m.latency.buckets ) {
+        if ( m.latency.buckets.hasOwnProperty(bucket) ) {
+          lines.push('rtm_api_request_duration_seconds_bucket{' + label + ',le="' + bucket/1000 + '"} ' + m.latency.buckets[bucket]);
+        }
+      }
+      lines.push('rtm_api_request_duration_seconds_bucket{' + label + ',le="+Inf"} ' + m.latency.count);
+      lines.push('rtm_api_request_duration_seconds_sum{' + label + '} ' + m.latency.sum/1000);
+      lines.push('rtm_api_request_duration_seconds_count{' + label + '} ' + m.latency.count);
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Serve the metrics in the Prometheus text format from a local HTTP
+   * endpoint (`http://host:port/metrics`)
+   * @param {number} port Port to listen on
+   * @param {string} [host=127.0.0.1] Host to listen on
+   * @param {function} [callback] Callback function() called when the server is listening
+   * @returns {http.Server} The HTTP Server (call `close()` to stop serving the metrics)
+   */
+  serve(port, host, callback) {
+    if ( callback === undefined && typeof host === 'function' ) {
+      callback = host;
+      host = undefined;
+    }
+    let metrics = this;
+    let server = http.createServer(function(req, res) {
+      if ( req.url.split('?')[0] !== '/metrics' ) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+      res.end(metrics.toPrometheus());
+    });
+    server.listen(port, host || '127.0.0.1', callback);
+    return server;
+  }
+
+  /**
+   * Get the metrics of the RTM API method
+   * @param {string} method RTM API Method
+   * @returns {Object}
+   * @private
+   */
+  _method(method) {
+    if ( this._methods[method] === undefined ) {
+      this._methods[method] = {
+        calls: 0,
+        retries: 0,
+        errors: {},
+        wait: 0,
+        latency: {
+          buckets: this._buckets.map(function() { return 0; }),
+          count: 0,
+          sum: 0
+        }
+      };
+    }
+    return this._methods[method];
+  }
+
+}
+
+
+/**
+ * Call the function for the metrics of each RTM API method
+ * @param {Object} snapshot Metrics snapshot
+ * @param {function} fn Function(label, metrics)
+ * @private
+ */
+function _each(snapshot, fn) {
+  for ( let method in snapshot ) {
+    if ( snapshot.hasOwnProperty(method) ) {
+      fn('method="' + method.replace(/["\\]/g, '\\$&') + '"', snapshot[method]);
+    }
+  }
+}
+
+
+module.exports = RTMMetrics;
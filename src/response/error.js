@@ -111,4 +111,86 @@ RTMError.serverError = function() {
   return new RTMError(-5, "RTM API Server Error: The RTM API Server is not responding.  Please try the request again later.");
 };
 
+/**
+ * Create a new `RTMError` that represents a request timeout (the RTM API
+ * Server did not respond within the request timeout).
+ *
+ * Error Code: `-6`
+ * @returns {RTMError}
+ */
+RTMError.timeoutError = function() {
+  return new RTMError(-6, "Timeout Error: The RTM API Server did not respond before the request timed out.");
+};
+
+/**
+ * Create a new `RTMError` that represents a cancelled request (the request's
+ * `AbortSignal` was aborted).
+ *
+ * Error Code: `-7`
+ * @returns {RTMError}
+ */
+RTMError.abortError = function() {
+  return new RTMError(-7, "Abort Error: The request was cancelled.");
+};
+
+/**
+ * Create a new `RTMError` that represents a request without a recorded
+ * response (in the `replay` mode of a cassette).
+ *
+ * Error Code: `-8`
+ * @param {string} [detail] Details of the request
+ * @returns {RTMError}
+ */
+RTMError.cassetteError = function(detail) {
+  return new RTMError(-8, "Cassette Error: " + (detail ? detail : "No recorded response for the request"));
+};
+
+/**
+ * Create a new `RTMError` that represents an invalid request (a required
+ * parameter is missing or a parameter has an invalid value).
+ *
+ * Error Code: `-9`
+ * @param {string} [detail] Details of the invalid parameter
+ * @returns {RTMError}
+ */
+RTMError.validationError = function(detail) {
+  return new RTMError(-9, "Validation Error: " + (detail ? detail : "The request parameters are not valid"));
+};
+
+/**
+ * Create a new `RTMError` that represents a request for an RTM API method
+ * that requires a higher permission than the RTM Client's permission.
+ *
+ * Error Code: `-10`
+ * @param {string} [detail] Details of the required permission
+ * @returns {RTMError}
+ */
+RTMError.permissionError = function(detail) {
+  return new RTMError(-10, "Permission Error: " + (detail ? detail : "The RTM Client does not have permission to make the request"));
+};
+
+/**
+ * Create a new `RTMError` that represents a login that timed out (the RTM
+ * User did not authorize the RTM Client before the login timeout).
+ *
+ * Error Code: `-11`
+ * @returns {RTMError}
+ */
+RTMError.loginTimeoutError = function() {
+  return new RTMError(-11, "Login Timeout Error: The User did not authorize the Client before the login timed out.");
+};
+
+/**
+ * Create a new `RTMError` that represents a transaction that could not be
+ * undone (the transaction is not undoable or is not in the RTM User's
+ * transaction history).
+ *
+ * Error Code: `-12`
+ * @param {string} [detail] Details of the transaction
+ * @returns {RTMError}
+ */
+RTMError.undoError = function(detail) {
+  return new RTMError(-12, "Undo Error: " + (detail ? detail : "The transaction cannot be undone"));
+};
+
 module.exports = RTMError;
\ No newline at end of file
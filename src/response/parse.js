@@ -2,12 +2,16 @@
 
 const success = require('./success.js');
 const error = require('./error.js');
+const xml = require('./xml.js');
 
 
 /**
  * Parse the raw RTM API Response into either a `RTMSuccess` or
  * `RTMError` Class with the Response's properties.
- * @param {string} raw Raw RTM API Server Response (as a JSON-formatted String)
+ *
+ * The response can be in either the JSON or XML (REST) format.  XML
+ * responses are parsed into the same structure as JSON responses.
+ * @param {string} raw Raw RTM API Server Response (as a JSON or XML-formatted String)
  * @returns {RTMError|RTMSuccess}
  * @private
  */
@@ -16,7 +20,12 @@ function parse(raw) {
   // Parse the response into JSON
   let response = undefined;
   try {
-    response = JSON.parse(raw);
+    if ( typeof raw === 'string' && raw.trim().startsWith('<') ) {
+      response = xml.parse(raw);
+    }
+    else {
+      response = JSON.parse(raw);
+    }
   }
   catch(exception) {
     return error.responseError();
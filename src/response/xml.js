@@ -0,0 +1,260 @@
+'use strict';
+
+
+/**
+ * ### RTM XML Response Parser
+ *
+ * This module parses an RTM API response in the native XML (REST) format
+ * into the same structure as the RTM API's JSON format:
+ * - the attributes of an element become properties of its object
+ * - child elements become properties of its object (repeated child elements,
+ * and the children listed in {@link ARRAYS}, become arrays)
+ * - elements with only text become strings (the text of an element with
+ * attributes becomes its `$t` property)
+ * - empty elements become an empty string (or an empty array for the
+ * container elements listed in {@link ARRAYS})
+ * @module response/xml
+ * @private
+ */
+
+
+/**
+ * Child elements that are always returned as arrays, by parent element
+ * @type {Object}
+ * @private
+ */
+const ARRAYS = {
+  lists: ['list'],
+  tasks: ['list'],
+  list: ['taskseries'],
+  taskseries: ['task'],
+  tags: ['tag'],
+  notes: ['note'],
+  participants: ['contact'],
+  contacts: ['contact'],
+  groups: ['group'],
+  locations: ['location'],
+  timezones: ['timezone']
+};
+
+/**
+ * XML entities
+ * @type {Object}
+ * @private
+ */
+const ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'"
+};
+
+
+/**
+ * Parse the XML response into an object with the same structure as the
+ * RTM API's JSON response (`{rsp: {...}}`)
+ * @param {string} raw Raw XML Response
+ * @returns {Object}
+ * @throws {string} If the XML could not be parsed
+ * @private
+ */
+function parse(raw) {
+  let root = _tree(raw);
+  let rtn = {};
+  rtn[root.name] = _convert(root);
+  return rtn;
+}
+
+
+/**
+ * Parse the XML into a tree of elements
+ * @param {string} xml XML String
+ * @returns {{name: string, attrs: Object, children: Object[], text: string}} Root element
+ * @private
+ */
+function _tree(xml) {
+  let root = undefined;
+  let stack = [];
+  let pos = 0;
+
+  while ( pos < xml.length ) {
+    let start = xml.indexOf('<', pos);
+
+    // Text
+    let text = xml.substring(pos, start === -1 ? xml.length : start);
+    if ( stack.length > 0 ) {
+      stack[stack.length-1].text += _decode(text);
+    }
+    else if ( text.trim() !== '' ) {
+      throw "Invalid XML: text outside of the root element";
+    }
+    if ( start === -1 ) {
+      break;
+    }
+
+    // Declarations and Comments
+    if ( xml.startsWith('<?', start) ) {
+      pos = _end(xml, '?>', start);
+    }
+    else if ( xml.startsWith('<!--', start) ) {
+      pos = _end(xml, '-->', start);
+    }
+
+    // CDATA
+    else if ( xml.startsWith('<![CDATA[', start) ) {
+      pos = _end(xml, ']]>', start);
+      if ( stack.length > 0 ) {
+        stack[stack.length-1].text += xml.substring(start + 9, pos - 3);
+      }
+    }
+
+    // Doctype
+    else if ( xml.startsWith('<!', start) ) {
+      pos = _end(xml, '>', start);
+    }
+
+    // Closing Tag
+    else if ( xml.startsWith('</', start) ) {
+      pos = _end(xml, '>', start);
+      let name = xml.substring(start + 2, pos - 1).trim();
+      let element = stack.pop();
+      if ( !element || element.name !== name ) {
+        throw "Invalid XML: unexpected closing tag " + name;
+      }
+    }
+
+    // Opening Tag
+    else {
+      pos = _end(xml, '>', start);
+      let tag = xml.substring(start + 1, pos - 1);
+      let closed = tag.endsWith('/');
+      if ( closed ) {
+        tag = tag.substring(0, tag.length - 1);
+      }
+      let match = tag.match(/^([^\s]+)\s*([\s\S]*)$/);
+      if ( !match ) {
+        throw "Invalid XML: invalid tag";
+      }
+      let element = {
+        name: match[1],
+        attrs: _attrs(match[2]),
+        children: [],
+        text: ''
+      };
+      if ( stack.length > 0 ) {
+        stack[stack.length-1].children.push(element);
+      }
+      else if ( root === undefined ) {
+        root = element;
+      }
+      else {
+        throw "Invalid XML: multiple root elements";
+      }
+      if ( !closed ) {
+        stack.push(element);
+      }
+    }
+  }
+
+  if ( root === undefined || stack.length > 0 ) {
+    throw "Invalid XML: incomplete document";
+  }
+  return root;
+}
+
+/**
+ * Convert the element into its JSON structure
+ * @param {Object} element XML element
+ * @returns {Object|Array|string}
+ * @private
+ */
+function _convert(element) {
+  let text = element.text.trim();
+  let hasAttrs = Object.keys(element.attrs).length > 0;
+
+  // Elements with only text (or empty elements)
+  if ( !hasAttrs && element.children.length === 0 ) {
+    if ( text === '' && ARRAYS.hasOwnProperty(element.name) ) {
+      return [];
+    }
+    return text;
+  }
+
+  // Attributes and Child Elements
+  let rtn = Object.assign({}, element.attrs);
+  let arrays = ARRAYS[element.name] || [];
+  for ( let i = 0; i < element.children.length; i++ ) {
+    let child = element.children[i];
+    let value = _convert(child);
+    if ( rtn.hasOwnProperty(child.name) ) {
+      if ( !Array.isArray(rtn[child.name]) ) {
+        rtn[child.name] = [rtn[child.name]];
+      }
+      rtn[child.name].push(value);
+    }
+    else if ( arrays.indexOf(child.name) > -1 ) {
+      rtn[child.name] = [value];
+    }
+    else {
+      rtn[child.name] = value;
+    }
+  }
+  if ( text !== '' ) {
+    rtn.$t = text;
+  }
+  return rtn;
+}
+
+/**
+ * Parse the attributes of a tag
+ * @param {string} str Tag attributes
+ * @returns {Object}
+ * @private
+ */
+function _attrs(str) {
+  let rtn = {};
+  let regex = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match = undefined;
+  while ( (match = regex.exec(str)) !== null ) {
+    rtn[match[1]] = _decode(match[3] !== undefined ? match[3] : match[4]);
+  }
+  return rtn;
+}
+
+/**
+ * Get the position after the end of the markup
+ * @param {string} xml XML String
+ * @param {string} end Markup end
+ * @param {number} start Markup start position
+ * @returns {number}
+ * @private
+ */
+function _end(xml, end, start) {
+  let index = xml.indexOf(end, start);
+  if ( index === -1 ) {
+    throw "Invalid XML: unterminated markup";
+  }
+  return index + end.length;
+}
+
+/**
+ * Decode the XML entities in the text
+ * @param {string} text
+ * @returns {string}
+ * @private
+ */
+function _decode(text) {
+  return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, function(entity, code) {
+    if ( code[0] === '#' ) {
+      let num = code[1].toLowerCase() === 'x' ? parseInt(code.substring(2), 16) : parseInt(code.substring(1), 10);
+      return String.fromCodePoint(num);
+    }
+    return ENTITIES.hasOwnProperty(code) ? ENTITIES[code] : entity;
+  });
+}
+
+
+module.exports = {
+  parse: parse
+};
@@ -0,0 +1,385 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const promise = require('../utils/promise.js');
+
+
+/**
+ * ### RTM Session Manager
+ *
+ * This Class keeps the named sessions (the {@link RTMUser}s) of several RTM
+ * accounts used by the same application.  The sessions can be saved to and
+ * loaded from a file (using {@link RTMClient~user/export|RTMClient.user.export}
+ * and {@link RTMClient~user/import|RTMClient.user.import}, or the encrypted
+ * credential store when a passphrase is given) and the Auth Token of each
+ * session is checked when the manager is started and on a schedule.
+ *
+ * #### Events
+ *
+ * - `add` (name, user): a session was added
+ * - `remove` (name, user): a session was removed
+ * - `revoked` (name, user): the session's Auth Token is no longer valid (the
+ * session is removed)
+ * - `error` (err): a scheduled token check could not be made (only
+ * emitted when the manager has an `error` listener)
+ *
+ * #### Usage
+ *
+ * ```
+ * let sessions = new RTM.RTMSessionManager(client, {file: '/path/to/sessions.json', interval: 3600000});
+ * sessions.on('revoked', function(name, user) {
+ *   console.log('Log in to ' + name + ' again');
+ * });
+ * await sessions.load();
+ * await sessions.start();
+ *
+ * let tasks = await sessions.tasks('work').get();
+ * ```
+ * @class
+ */
+class RTMSessionManager extends EventEmitter {
+
+  /**
+   * Create a new RTM Session Manager
+   * @param {RTMClient} client The RTM Client used to import the sessions
+   * @param {object} [options] Session Manager Options
+   * @param {string} [options.file] Path to the file the sessions are loaded from and saved to
+   * @param {string} [options.passphrase] Passphrase used to save the sessions as the profiles of an
+   * encrypted credential file (see {@link RTMClient~user/save|RTMClient.user.save})
+   * @param {number} [options.interval=0] Time (ms) between the scheduled checks of the sessions'
+   * Auth Tokens (`0` to only check the tokens when the manager is started)
+   * @constructor
+   */
+  constructor(client, options={}) {
+    super();
+    this._client = client;
+    this._file = options.file;
+    this._passphrase = options.passphrase;
+    this._interval = options.interval || 0;
+    this._sessions = {};
+    this._timer = undefined;
+    this._checking = false;
+  }
+
+  /**
+   * The names of the sessions
+   * @type {string[]}
+   */
+  get names() {
+    return Object.keys(this._sessions);
+  }
+
+  /**
+   * Add a named session (replacing any existing session with the same name)
+   * @param {string} name Session name
+   * @param {RTMUser} user The session's RTM User
+   * @returns {RTMUser}
+   */
+  add(name, user) {
+    this._sessions[name] = user;
+    this.emit('add', name, user);
+    return user;
+  }
+
+  /**
+   * Check if the named session exists
+   * @param {string} name Session name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this._sessions.hasOwnProperty(name);
+  }
+
+  /**
+   * Get the RTM User of the named session
+   * @param {string} name Session name
+   * @returns {RTMUser}
+   * @throws {string} If the session does not exist
+   */
+  get(name) {
+    if ( !this.has(name) ) {
+      throw "Session not found: " + name;
+    }
+    return this._sessions[name];
+  }
+
+  /**
+   * Remove the named session
+   * @param {string} name Session name
+   * @returns {boolean} `true` if the session was removed
+   */
+  remove(name) {
+    if ( !this.has(name) ) {
+      return false;
+    }
+    let user = this._sessions[name];
+    delete this._sessions[name];
+    this.emit('remove', name, user);
+    return true;
+  }
+
+  /**
+   * The RTM List related functions of the named session's User
+   * (see {@link RTMUser#lists|RTMUser.lists})
+   * @param {string} name Session name
+   * @returns {{get: function, add: function, remove: function, rename: function}}
+   */
+  lists(name) {
+    return this.get(name).lists;
+  }
+
+  /**
+   * The RTM Task related functions of the named session's User
+   * (see {@link RTMUser#tasks|RTMUser.tasks})
+   * @param {string} name Session name
+   * @returns {Object}
+   */
+  tasks(name) {
+    return this.get(name).tasks;
+  }
+
+  /**
+   * Clear the Task Index Cache of the named session's User
+   * @param {string} name Session name
+   */
+  clearTaskIndexCache(name) {
+    this.get(name).clearTaskIndexCache();
+  }
+
+
+  // ==== TOKEN CHECKS ==== //
+
+  /**
+   * Check the Auth Token of each session.  Sessions with an Auth Token that
+   * is no longer valid are removed (emitting a `revoked` event).
+   * @param {function} [callback] Callback function(err, results)
+   * @param {Error} callback.err The first error encountered while checking the tokens
+   * @param {Object} callback.results The check result of each session, by name (`true` if
+   * the token is valid, `false` if it was revoked)
+   * @returns {Promise<Object>|undefined} When no callback is provided, a Promise
+   * that resolves with the check results
+   */
+  verify(callback) {
+    let manager = this;
+    return promise.call(function(callback) {
+      let names = manager.names;
+      let results = {};
+      let error = undefined;
+      let remaining = names.length;
+      if ( remaining === 0 ) {
+        return callback(null, results);
+      }
+      names.forEach(function(name) {
+        let user = manager._sessions[name];
+        user.verifyAuthToken(function(err, verified) {
+          if ( err ) {
+            error = error || err;
+          }
+          else {
+            results[name] = verified;
+            if ( !verified && manager._sessions[name] === user ) {
+              delete manager._sessions[name];
+              manager.emit('revoked', name, user);
+            }
+          }
+          if ( --remaining === 0 ) {
+            return callback(error || null, results);
+          }
+        });
+      });
+    }, arguments);
+  }
+
+  /**
+   * Start the manager: check the Auth Token of each session and schedule
+   * the next checks (every `interval` ms)
+   * @param {function} [callback] Callback function(err, results) called when the first check is complete
+   * @returns {Promise<Object>|undefined} When no callback is provided, a Promise
+   * that resolves with the results of the first check
+   */
+  start(callback) {
+    let manager = this;
+    return promise.call(function(callback) {
+      manager.stop();
+      if ( manager._interval > 0 ) {
+        manager._timer = setInterval(function() {
+
+          // Skip the check while the previous check is in progress
+          if ( manager._checking ) {
+            return;
+          }
+          manager._checking = true;
+          manager.verify(function(err) {
+            manager._checking = false;
+            if ( err && manager.listenerCount('error') > 0 ) {
+              manager.emit('error', err);
+            }
+          });
+        }, manager._interval);
+        manager._timer.unref();
+      }
+      manager.verify(callback);
+    }, arguments);
+  }
+
+  /**
+   * Stop the scheduled token checks
+   */
+  stop() {
+    if ( this._timer ) {
+      clearInterval(this._timer);
+      this._timer = undefined;
+    }
+  }
+
+
+  // ==== LOAD & SAVE ==== //
+
+  /**
+   * Get the exported properties of each session, by name
+   * (see {@link RTMClient~user/export|RTMClient.user.export})
+   * @returns {Object}
+   */
+  export() {
+    let rtn = {};
+    for ( let name in this._sessions ) {
+      if ( this._sessions.hasOwnProperty(name) ) {
+        rtn[name] = this._client.user.export(this._sessions[name]);
+      }
+    }
+    return rtn;
+  }
+
+  /**
+   * Add the sessions from their exported properties, by name
+   * (see {@link RTMClient~user/import|RTMClient.user.import})
+   * @param {Object} sessions Exported session properties, by name
+   */
+  import(sessions) {
+    for ( let name in sessions ) {
+      if ( sessions.hasOwnProperty(name) ) {
+        this.add(name, this._client.user.import(sessions[name]));
+      }
+    }
+  }
+
+  /**
+   * Save the sessions to the manager's file
+   * @param {function} [callback] Callback function(err)
+   * @returns {Promise|undefined} When no callback is provided, a Promise that
+   * resolves when the sessions are saved
+   */
+  save(callback) {
+    let manager = this;
+    return promise.call(function(callback) {
+      if ( !manager._file ) {
+        throw "The Session Manager does not have a file";
+      }
+
+      // Encrypted Credential File: save each session as a profile
+      if ( manager._passphrase ) {
+        return manager._client.user.profiles(manager._file, function(err, profiles) {
+          if ( err ) {
+            return callback(err);
+          }
+          let removed = profiles.filter(function(profile) {
+            return !manager.has(profile);
+          });
+          _series(removed, function(profile, cb) {
+            manager._client.user.removeProfile(manager._file, manager._passphrase, profile, cb);
+          }, function(err) {
+            if ( err ) {
+              return callback(err);
+            }
+            _series(manager.names, function(name, cb) {
+              manager._client.user.save(manager._sessions[name], manager._file, manager._passphrase, {profile: name}, cb);
+            }, callback);
+          });
+        });
+      }
+
+      // Session File
+      fs.mkdir(path.dirname(manager._file), {recursive: true}, function(err) {
+        if ( err ) {
+          return callback(err);
+        }
+        fs.writeFile(manager._file, JSON.stringify(manager.export(), null, 2), {mode: 0o600}, callback);
+      });
+    }, arguments);
+  }
+
+  /**
+   * Load the sessions from the manager's file (if it exists)
+   * @param {function} [callback] Callback function(err, names)
+   * @returns {Promise<string[]>|undefined} When no callback is provided, a Promise
+   * that resolves with the names of the loaded sessions
+   */
+  load(callback) {
+    let manager = this;
+    return promise.call(function(callback) {
+      if ( !manager._file ) {
+        throw "The Session Manager does not have a file";
+      }
+
+      // Encrypted Credential File: load each profile as a session
+      if ( manager._passphrase ) {
+        return manager._client.user.profiles(manager._file, function(err, profiles) {
+          if ( err ) {
+            return callback(err);
+          }
+          _series(profiles, function(profile, cb) {
+            manager._client.user.load(manager._file, manager._passphrase, {profile: profile}, function(err, user) {
+              if ( !err ) {
+                manager.add(profile, user);
+              }
+              return cb(err);
+            });
+          }, function(err) {
+            return callback(err, err ? undefined : profiles);
+          });
+        });
+      }
+
+      // Session File
+      fs.readFile(manager._file, 'utf8', function(err, contents) {
+        if ( err ) {
+          return err.code === 'ENOENT' ? callback(null, []) : callback(err);
+        }
+        let sessions = undefined;
+        try {
+          sessions = JSON.parse(contents);
+          manager.import(sessions);
+        }
+        catch(exception) {
+          return callback(exception);
+        }
+        return callback(null, Object.keys(sessions));
+      });
+    }, arguments);
+  }
+
+}
+
+
+/**
+ * Call the function for each item, one at a time
+ * @param {Array} items Items
+ * @param {function} fn Function(item, callback)
+ * @param {function} callback Callback function(err) called when all items are complete or on the first error
+ * @private
+ */
+function _series(items, fn, callback) {
+  let index = 0;
+  let next = function(err) {
+    if ( err || index >= items.length ) {
+      return callback(err || null);
+    }
+    fn(items[index++], next);
+  };
+  next();
+}
+
+
+module.exports = RTMSessionManager;
@@ -2,24 +2,32 @@
 
 const RTMTask = require('./index.js');
 const taskIds = require('../utils/taskIds.js');
+const transactions = require('../utils/transactions.js');
 
 /**
  * API Call: rtm.tasks.getList
  * @param user RTMUser
  * @param [filter] Task Filter
+ * @param {object} [options] Request Options
  * @param callback Callback function(err, tasks)
  * @private
  */
-function get(user, filter, callback) {
-  let params = {};
+function get(user, filter, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
   if ( callback === undefined && typeof filter === 'function' ) {
     callback = filter;
+    filter = undefined;
   }
-  else if ( filter !== '' ) {
+
+  let params = {};
+  if ( filter !== undefined && filter !== '' ) {
     params.filter = filter;
   }
 
-  user.get('rtm.tasks.getList', params, function(err, resp) {
+  user.get('rtm.tasks.getList', params, options, function(err, resp) {
     if ( err ) {
       return callback(err);
     }
@@ -47,7 +55,7 @@ function get(user, filter, callback) {
             }
             for ( let k = 0; k < series.task.length; k++ ) {
               let task = series.task[k];
-              rtn.push(new RTMTask(user.id, list.id, series, task));
+              rtn.push(new RTMTask(user.id, list.id, series, task, user.indexCacheFile));
             }
           }
         }
@@ -55,7 +63,7 @@ function get(user, filter, callback) {
     }
 
     // Save the task indices
-    taskIds.save();
+    taskIds.save(user.indexCacheFile);
 
     // Return with the callback
     return callback(null, rtn);
@@ -69,10 +77,11 @@ function get(user, filter, callback) {
  * @param {string} name Task Name (or smart add syntax)
  * @param {{due: *, priority: *, list: *, tags: *, location: *, start: *, repeat: *, estimate: *, to: *, url: *, note: *}} props Additional task properties
  * @param user RTM User
- * @param callback Callback function(err)
+ * @param {object} [options] Request Options
+ * @param callback Callback function(err, transaction)
  * @private
  */
-function add(name, props, user, callback) {
+function add(name, props, user, options, callback) {
 
   // Parse the props keys
   if ( props.due ) {
@@ -122,8 +131,8 @@ function add(name, props, user, callback) {
   };
 
   // Make the API Request
-  user.get('rtm.tasks.add', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.add', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 
 }
@@ -134,18 +143,19 @@ function add(name, props, user, callback) {
  * @param {number} taskSeriesId RTM Task Series ID
  * @param {number} taskId RTM Task ID
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function complete(listId, taskSeriesId, taskId, user, callback) {
+function complete(listId, taskSeriesId, taskId, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
     taskseries_id: taskSeriesId,
     task_id: taskId
   };
-  user.get('rtm.tasks.complete', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.complete', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -155,18 +165,19 @@ function complete(listId, taskSeriesId, taskId, user, callback) {
  * @param {number} taskSeriesId RTM Task Series ID
  * @param {number} taskId RTM Task ID
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function uncomplete(listId, taskSeriesId, taskId, user, callback) {
+function uncomplete(listId, taskSeriesId, taskId, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
     taskseries_id: taskSeriesId,
     task_id: taskId
   };
-  user.get('rtm.tasks.uncomplete', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.uncomplete', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -177,10 +188,11 @@ function uncomplete(listId, taskSeriesId, taskId, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {int} priority Task Priority
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function priority(listId, taskSeriesId, taskId, priority, user, callback) {
+function priority(listId, taskSeriesId, taskId, priority, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -188,8 +200,8 @@ function priority(listId, taskSeriesId, taskId, priority, user, callback) {
     task_id: taskId,
     priority: priority
   };
-  user.get('rtm.tasks.setPriority', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.setPriority', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -200,10 +212,11 @@ function priority(listId, taskSeriesId, taskId, priority, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string[]} tags Tags to Add
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function addTags(listId, taskSeriesId, taskId, tags, user, callback) {
+function addTags(listId, taskSeriesId, taskId, tags, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -211,8 +224,8 @@ function addTags(listId, taskSeriesId, taskId, tags, user, callback) {
     task_id: taskId,
     tags: tags.join(',')
   };
-  user.get('rtm.tasks.addTags', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.addTags', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -224,10 +237,11 @@ function addTags(listId, taskSeriesId, taskId, tags, user, callback) {
  * @param {string} title Title of Note
  * @param {string|string[]} notes Note(s) to add to the Task
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function addNotes(listId, taskSeriesId, taskId, title, notes, user, callback) {
+function addNotes(listId, taskSeriesId, taskId, title, notes, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -236,8 +250,8 @@ function addNotes(listId, taskSeriesId, taskId, title, notes, user, callback) {
 	note_title: title,
     note_text: notes
   };
-  user.get('rtm.tasks.notes.add', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.notes.add', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -247,18 +261,19 @@ function addNotes(listId, taskSeriesId, taskId, title, notes, user, callback) {
  * @param {number} taskSeriesId RTM Task Series ID
  * @param {number} taskId RTM Task ID
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function remove(listId, taskSeriesId, taskId, user, callback) {
+function remove(listId, taskSeriesId, taskId, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
     taskseries_id: taskSeriesId,
     task_id: taskId,
   };
-  user.get('rtm.tasks.delete', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.delete', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -269,10 +284,11 @@ function remove(listId, taskSeriesId, taskId, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string} direction Direction to move 'up' or 'down'
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function movePriority(listId, taskSeriesId, taskId, direction, user, callback) {
+function movePriority(listId, taskSeriesId, taskId, direction, user, options, callback) {
   if ( direction.toLowerCase() !== 'up' && direction.toLowerCase() !== 'down' ) {
     throw "Incorrect priority direction.  Must be either 'up' or 'down'";
   }
@@ -283,8 +299,8 @@ function movePriority(listId, taskSeriesId, taskId, direction, user, callback) {
     task_id: taskId,
     direction: direction.toLowerCase()
   };
-  user.get('rtm.tasks.movePriority', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.movePriority', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -295,10 +311,11 @@ function movePriority(listId, taskSeriesId, taskId, direction, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {number} toListId RTM List ID (new)
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function move(listId, taskSeriesId, taskId, toListId, user, callback) {
+function move(listId, taskSeriesId, taskId, toListId, user, options, callback) {
   let params = {
     timeline: user.timeline,
     from_list_id: listId,
@@ -306,8 +323,8 @@ function move(listId, taskSeriesId, taskId, toListId, user, callback) {
     task_id: taskId,
     to_list_id: toListId
   };
-  user.get('rtm.tasks.moveTo', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.moveTo', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -317,18 +334,19 @@ function move(listId, taskSeriesId, taskId, toListId, user, callback) {
  * @param {number} taskSeriesId RTM Task Series ID
  * @param {number} taskId RTM Task ID
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function postpone(listId, taskSeriesId, taskId, user, callback) {
+function postpone(listId, taskSeriesId, taskId, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
     taskseries_id: taskSeriesId,
     task_id: taskId
   };
-  user.get('rtm.tasks.postpone', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.postpone', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -339,10 +357,11 @@ function postpone(listId, taskSeriesId, taskId, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string[]} tags Tags to Remove
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function removeTags(listId, taskSeriesId, taskId, tags, user, callback) {
+function removeTags(listId, taskSeriesId, taskId, tags, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -350,8 +369,8 @@ function removeTags(listId, taskSeriesId, taskId, tags, user, callback) {
     task_id: taskId,
     tags: tags.join(',')
   };
-  user.get('rtm.tasks.removeTags', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.removeTags', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -362,10 +381,11 @@ function removeTags(listId, taskSeriesId, taskId, tags, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string} due Task Due Date (will be parsed by RTM)
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function setDueDate(listId, taskSeriesId, taskId, due, user, callback) {
+function setDueDate(listId, taskSeriesId, taskId, due, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -374,8 +394,8 @@ function setDueDate(listId, taskSeriesId, taskId, due, user, callback) {
     due: due,
     parse: 1
   };
-  user.get('rtm.tasks.setDueDate', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.setDueDate', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -386,9 +406,10 @@ function setDueDate(listId, taskSeriesId, taskId, due, user, callback) {
  * @param {number}   taskId       RTM Task ID
  * @param {string}   start        Task Start Date/Time (will be parsed by RTM)
  * @param {RTMUser}  user         RTM User
- * @param {Function} callback     Callback function(err)
+ * @param {object}   [options]    Request Options
+ * @param {Function} callback     Callback function(err, transaction)
  */
-function setStartDate(listId, taskSeriesId, taskId, start, user, callback) {
+function setStartDate(listId, taskSeriesId, taskId, start, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -397,8 +418,8 @@ function setStartDate(listId, taskSeriesId, taskId, start, user, callback) {
     start: start,
     parse: 1
   };
-  user.get('rtm.tasks.setStartDate', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.setStartDate', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -409,10 +430,11 @@ function setStartDate(listId, taskSeriesId, taskId, start, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string} name New Task Name
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function setName(listId, taskSeriesId, taskId, name, user, callback) {
+function setName(listId, taskSeriesId, taskId, name, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -420,8 +442,8 @@ function setName(listId, taskSeriesId, taskId, name, user, callback) {
     task_id: taskId,
     name: name
   };
-  user.get('rtm.tasks.setName', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.setName', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -432,10 +454,11 @@ function setName(listId, taskSeriesId, taskId, name, user, callback) {
  * @param {number} taskId RTM Task ID
  * @param {string} url New Task URL
  * @param {RTMUser} user RTM User
- * @param {function} callback function(err)
+ * @param {object} [options] Request Options
+ * @param {function} callback function(err, transaction)
  * @private
  */
-function setURL(listId, taskSeriesId, taskId, url, user, callback) {
+function setURL(listId, taskSeriesId, taskId, url, user, options, callback) {
   let params = {
     timeline: user.timeline,
     list_id: listId,
@@ -443,8 +466,8 @@ function setURL(listId, taskSeriesId, taskId, url, user, callback) {
     task_id: taskId,
     url: url
   };
-  user.get('rtm.tasks.setURL', params, function(err) {
-    return callback(err);
+  user.get('rtm.tasks.setURL', params, options, function(err, resp) {
+    return callback(err, transactions.find(user, resp));
   });
 }
 
@@ -32,8 +32,9 @@ class RTMTask {
    * @param {number} listId RTM List ID
    * @param {object} series Taskseries properties (resp.task.list[].taskseries[])
    * @param {object} task Task properties (resp.task.list[].taskseries[].task)
+   * @param {string} [indexCacheFile] Path to the Task Index Cache file used to assign the Task Index
    */
-  constructor(userId, listId, series, task) {
+  constructor(userId, listId, series, task, indexCacheFile) {
 
     // List added after construction
     this._list = undefined;
@@ -203,7 +204,7 @@ class RTMTask {
 
 
     // Assign Task Index
-    this._index = taskIds.getIndex(userId, this);
+    this._index = taskIds.getIndex(userId, this, indexCacheFile);
 
   }
 
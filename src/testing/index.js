@@ -0,0 +1,474 @@
+'use strict';
+
+const http = require('http');
+const URL = require('url');
+const querystring = require('querystring');
+const sign = require('../utils/sign.js');
+const promise = require('../utils/promise.js');
+const METHODS = require('./methods.js').METHODS;
+const store = require('./store.js');
+const xml = require('./xml.js');
+
+
+/**
+ * RTM API Error Messages, by error code
+ * @type {Object}
+ * @private
+ */
+const ERRORS = {
+  96: "Invalid signature",
+  97: "Missing signature",
+  98: "Login failed / Invalid auth token",
+  99: "Insufficient permissions",
+  100: "Invalid API Key",
+  101: "Invalid frob - did you authenticate?",
+  105: "Service currently unavailable",
+  112: "Method not found",
+  300: "Timeline invalid or not provided",
+  310: "transaction_id invalid or not provided",
+  320: "list_id invalid or not provided",
+  321: "list_id invalid - the list is locked or is a Smart List",
+  340: "taskseries_id invalid or not provided",
+  341: "task_id invalid or not provided",
+  350: "note_id invalid or not provided",
+  360: "Date provided is invalid",
+  3000: "List name provided is invalid",
+  4000: "Task name provided is invalid",
+  4030: "Priority direction invalid"
+};
+
+/**
+ * Permission levels, in increasing order of access
+ * @type {string[]}
+ * @private
+ */
+const PERMS = ['none', 'read', 'write', 'delete'];
+
+
+/**
+ * ### RTM Mock API Server
+ *
+ * This Class is a local stand-in for the RTM API Server, to be used for
+ * development and integration tests.  It implements the RTM API methods used
+ * by `rtm-api` (`rtm.auth.*`, `rtm.timelines.create`, `rtm.lists.*`,
+ * `rtm.tasks.*`, including notes, and `rtm.transactions.undo`) with an
+ * in-memory data store.
+ *
+ * Like the RTM API Server, it verifies the `api_sig` of each request, checks
+ * the permissions of the auth token, limits the rate of requests for each API
+ * Key (returning an HTTP `503` status) and returns the RTM error codes for
+ * failed requests.  Responses are returned in the JSON format when requested
+ * (`format=json`) or in the XML (REST) format.
+ *
+ * Requests to the server's Auth URL authorize the frob for the server's first
+ * User, so the complete auth flow can be tested.
+ *
+ * #### Usage
+ *
+ * The mock server is available as `rtm-api/testing`:
+ *
+ * ```
+ * const RTM = require('rtm-api');
+ * const { RTMMockServer } = require('rtm-api/testing');
+ *
+ * let server = new RTMMockServer({key: 'API_KEY', secret: 'API_SECRET'});
+ * await server.listen();
+ *
+ * let client = new RTM('API_KEY', 'API_SECRET', RTM.PERM_DELETE, server.clientOptions);
+ * let user = server.addUser({username: 'test'});
+ * let rtmUser = client.user.create(user.id, user.username, user.fullname, user.token);
+ * ```
+ * @class
+ */
+class RTMMockServer {
+
+  /**
+   * Create a new RTM Mock API Server
+   * @param {object} [options] Server options
+   * @param {string} [options.key] API Key of a Client allowed to use the server
+   * @param {string} [options.secret] API Secret of the Client
+   * @param {object|boolean} [options.rate] Rate limit of each API Key: the maximum number of
+   * `bursts` requests and the `timeout` (ms) to add another request, or `false` to disable the rate limit
+   * @constructor
+   */
+  constructor(options={}) {
+    this._clients = {};
+    this._rate = options.rate === false ? false : Object.assign({bursts: 3, timeout: 1000}, options.rate);
+    this._buckets = {};
+    this._store = store();
+    this._server = undefined;
+    if ( options.key ) {
+      this.addClient(options.key, options.secret);
+    }
+  }
+
+  /**
+   * The port the server is listening on
+   * @type {number}
+   */
+  get port() {
+    return this._server ? this._server.address().port : undefined;
+  }
+
+  /**
+   * The server's API Base URL (without the scheme)
+   * @type {string}
+   */
+  get url() {
+    return 'localhost:' + this.port + '/services/rest/';
+  }
+
+  /**
+   * The server's Auth URL (without the scheme)
+   * @type {string}
+   */
+  get authUrl() {
+    return 'localhost:' + this.port + '/services/auth/';
+  }
+
+  /**
+   * The {@link RTMClient} options used to send requests to this server
+   * @type {object}
+   */
+  get clientOptions() {
+    return {
+      api: {
+        scheme: 'http',
+        url: {
+          base: this.url,
+          auth: this.authUrl
+        }
+      }
+    };
+  }
+
+  /**
+   * The server's in-memory data store, with its `users`, `tokens` and `frobs`
+   * @type {object}
+   */
+  get store() {
+    return this._store;
+  }
+
+  /**
+   * Allow a Client to use the server
+   * @param {string} key API Key
+   * @param {string} secret API Secret
+   */
+  addClient(key, secret) {
+    this._clients[key] = secret;
+  }
+
+  /**
+   * Add a new User, with an auth token for one of the server's Clients
+   * @param {object} [props] User properties
+   * @param {string} [props.username] Username
+   * @param {string} [props.fullname] Full Name
+   * @param {string} [props.perms=delete] Permissions of the User's auth token
+   * @param {string} [props.key] API Key of the auth token (default: the first Client)
+   * @returns {{id: string, username: string, fullname: string, token: string}}
+   */
+  addUser(props={}) {
+    let user = this._store.user(props.username, props.fullname);
+    let key = props.key ? props.key : Object.keys(this._clients)[0];
+    return {
+      id: user.id,
+      username: user.username,
+      fullname: user.fullname,
+      token: this._store.token(user.id, props.perms || 'delete', key)
+    };
+  }
+
+  /**
+   * Authorize the frob for the User (as if the User opened the Auth URL)
+   * @param {string} frob Auth Frob
+   * @param {string} userId User ID
+   * @param {string} [perms=delete] Permissions granted
+   */
+  authorize(frob, userId, perms) {
+    if ( this._store.frobs[frob] === undefined ) {
+      throw "Invalid frob: " + frob;
+    }
+    this._store.frobs[frob].userId = userId;
+    this._store.frobs[frob].perms = perms || 'delete';
+  }
+
+  /**
+   * Remove all of the server's Users, tokens and rate limits
+   */
+  reset() {
+    this._store = store();
+    this._buckets = {};
+  }
+
+  /**
+   * Start the server
+   * @param {number} [port=0] Port to listen on (`0` for a random available port)
+   * @param {function} [callback] Callback function(err) called when the server is listening
+   * @returns {Promise|undefined} When no callback is provided, a Promise that resolves
+   * when the server is listening
+   */
+  listen(port, callback) {
+    let server = this;
+    return promise.call(function(port, callback) {
+      if ( callback === undefined && typeof port === 'function' ) {
+        callback = port;
+        port = undefined;
+      }
+      server._server = http.createServer(function(req, res) {
+        server._handle(req, res);
+      });
+      server._server.on('error', callback);
+      server._server.listen(port || 0, '127.0.0.1', function() {
+        server._server.removeListener('error', callback);
+        return callback(null);
+      });
+    }, arguments);
+  }
+
+  /**
+   * Stop the server
+   * @param {function} [callback] Callback function(err) called when the server is closed
+   * @returns {Promise|undefined} When no callback is provided, a Promise that resolves
+   * when the server is closed
+   */
+  close(callback) {
+    let server = this;
+    return promise.call(function(callback) {
+      if ( !server._server ) {
+        return callback(null);
+      }
+      server._server.close(function() {
+        server._server = undefined;
+        return callback(null);
+      });
+      if ( typeof server._server.closeAllConnections === 'function' ) {
+        server._server.closeAllConnections();
+      }
+    }, arguments);
+  }
+
+
+  /**
+   * Handle an HTTP request to the server
+   * @param {http.IncomingMessage} req HTTP Request
+   * @param {http.ServerResponse} res HTTP Response
+   * @private
+   */
+  _handle(req, res) {
+    let server = this;
+    let url = URL.parse(req.url);
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', function(chunk) {
+      body += chunk;
+    });
+    req.on('end', function() {
+      let params = Object.assign({}, querystring.parse(url.query || ''));
+      if ( req.method === 'POST' ) {
+        Object.assign(params, querystring.parse(body));
+      }
+
+      // Auth URL
+      if ( url.pathname === '/services/auth/' ) {
+        return server._auth(params, res);
+      }
+
+      // API Request
+      if ( url.pathname === '/services/rest/' ) {
+        return server._request(params, res);
+      }
+
+      res.statusCode = 404;
+      res.end();
+    });
+  }
+
+  /**
+   * Handle a request to the Auth URL: authorize the frob for the first User
+   * @param {Object} params Request Parameters
+   * @param {http.ServerResponse} res HTTP Response
+   * @private
+   */
+  _auth(params, res) {
+    let code = this._verify(params);
+    let frob = this._store.frobs[params.frob];
+    if ( !code && (!frob || frob.apiKey !== params.api_key) ) {
+      code = 101;
+    }
+    if ( code ) {
+      res.statusCode = 400;
+      return res.end(ERRORS[code]);
+    }
+
+    // Authorize the frob for the first User
+    let userId = Object.keys(this._store.users)[0];
+    if ( userId === undefined ) {
+      userId = this._store.user().id;
+    }
+    this.authorize(params.frob, userId, params.perms);
+
+    res.setHeader('Content-Type', 'text/html');
+    res.end('<html><body>Application authorized</body></html>');
+  }
+
+  /**
+   * Handle an API request
+   * @param {Object} params Request Parameters
+   * @param {http.ServerResponse} res HTTP Response
+   * @private
+   */
+  _request(params, res) {
+    let method = METHODS[params.method];
+
+    // Verify the API Key and signature
+    let code = this._verify(params);
+    if ( code ) {
+      return _respond(res, params, _error(code));
+    }
+
+    // Rate Limit
+    if ( !this._take(params.api_key) ) {
+      res.statusCode = 503;
+      res.setHeader('Retry-After', '1');
+      return res.end();
+    }
+
+    // Method
+    if ( method === undefined ) {
+      return _respond(res, params, _error(112, "Method \"" + params.method + "\" not found"));
+    }
+
+    // Auth Token and Permissions
+    let user = undefined;
+    if ( method.perms !== 'none' ) {
+      let token = this._store.tokens[params.auth_token];
+      if ( !token || token.apiKey !== params.api_key ) {
+        return _respond(res, params, _error(98));
+      }
+      if ( PERMS.indexOf(token.perms) < PERMS.indexOf(method.perms) ) {
+        return _respond(res, params, _error(99));
+      }
+      user = this._store.users[token.userId];
+    }
+
+    // Timeline
+    if ( method.timeline && (!user || user.timelines.indexOf(params.timeline) === -1) ) {
+      return _respond(res, params, _error(300));
+    }
+
+    // Call the method
+    let state = method.timeline ? this._store.state(user) : undefined;
+    let rsp = undefined;
+    try {
+      rsp = Object.assign({stat: 'ok'}, method.fn(this._store, user, params));
+    }
+    catch(exception) {
+      rsp = typeof exception === 'number' ? _error(exception) : _error(105);
+    }
+
+    // Save the User's state before the transaction, so it can be undone
+    if ( rsp.stat === 'ok' && rsp.transaction ) {
+      this._store.transactions[rsp.transaction.id] = {
+        userId: user.id,
+        timeline: params.timeline,
+        state: state
+      };
+    }
+
+    return _respond(res, params, rsp);
+  }
+
+  /**
+   * Verify the API Key and signature of the request
+   * @param {Object} params Request Parameters
+   * @returns {number|undefined} RTM error code, if the request is not valid
+   * @private
+   */
+  _verify(params) {
+    if ( !params.api_key || !this._clients.hasOwnProperty(params.api_key) ) {
+      return 100;
+    }
+    if ( !params.api_sig ) {
+      return 97;
+    }
+    let signed = Object.assign({}, params);
+    delete signed.api_sig;
+    if ( sign(signed, {secret: this._clients[params.api_key]}) !== params.api_sig ) {
+      return 96;
+    }
+  }
+
+  /**
+   * Take a token from the API Key's rate limit bucket
+   * @param {string} key API Key
+   * @returns {boolean} `true` if the request is allowed
+   * @private
+   */
+  _take(key) {
+    if ( !this._rate ) {
+      return true;
+    }
+    let now = new Date().getTime();
+    let bucket = this._buckets[key];
+    if ( bucket === undefined ) {
+      bucket = this._buckets[key] = {tokens: this._rate.bursts, updated: now};
+    }
+
+    // Refill the bucket
+    let added = Math.floor((now - bucket.updated) / this._rate.timeout);
+    if ( added > 0 ) {
+      bucket.tokens = Math.min(this._rate.bursts, bucket.tokens + added);
+      bucket.updated = bucket.updated + added * this._rate.timeout;
+    }
+    if ( bucket.tokens >= this._rate.bursts ) {
+      bucket.updated = now;
+    }
+
+    // Take a token
+    if ( bucket.tokens > 0 ) {
+      bucket.tokens--;
+      return true;
+    }
+    return false;
+  }
+
+}
+
+
+/**
+ * Build a failed response
+ * @param {number} code RTM error code
+ * @param {string} [msg] Error message (default: the message of the error code)
+ * @returns {Object}
+ * @private
+ */
+function _error(code, msg) {
+  return {
+    stat: 'fail',
+    err: {
+      code: String(code),
+      msg: msg ? msg : ERRORS[code]
+    }
+  };
+}
+
+/**
+ * Send the API response, in the JSON format (when requested) or
+ * the XML (REST) format
+ * @param {http.ServerResponse} res HTTP Response
+ * @param {Object} params Request Parameters
+ * @param {Object} rsp Response properties
+ * @private
+ */
+function _respond(res, params, rsp) {
+  if ( params.format === 'json' ) {
+    res.setHeader('Content-Type', 'application/json');
+    return res.end(JSON.stringify({rsp: rsp}));
+  }
+  res.setHeader('Content-Type', 'text/xml');
+  res.end(xml.stringify(rsp));
+}
+
+
+module.exports = RTMMockServer;
@@ -0,0 +1,742 @@
+'use strict';
+
+
+/**
+ * ### Mock RTM API Methods
+ *
+ * This module contains the RTM API methods implemented by the
+ * {@link RTMMockServer}.  Each method is described by the permission it
+ * requires (`none`, `read`, `write` or `delete`), if it requires a timeline
+ * and the function that handles the request.
+ *
+ * A method function is given the server's data store, the authenticated
+ * User (if any) and the request parameters.  It returns the properties of
+ * a successful response or throws the RTM error code of a failed request.
+ * @module testing/methods
+ * @private
+ */
+
+
+/**
+ * The mock RTM API methods, by name
+ * @type {Object}
+ * @private
+ */
+const METHODS = {
+
+  // ==== AUTH ==== //
+
+  'rtm.auth.getFrob': {
+    perms: 'none',
+    fn: function(store, user, params) {
+      let frob = store.id('frob') + Math.random().toString(16).substring(2);
+      store.frobs[frob] = {apiKey: params.api_key};
+      return {frob: frob};
+    }
+  },
+
+  'rtm.auth.getToken': {
+    perms: 'none',
+    fn: function(store, user, params) {
+      let frob = store.frobs[params.frob];
+      if ( !frob || frob.apiKey !== params.api_key || frob.userId === undefined ) {
+        throw 101;
+      }
+      delete store.frobs[params.frob];
+      let token = store.token(frob.userId, frob.perms, params.api_key);
+      return {auth: _auth(store, token)};
+    }
+  },
+
+  'rtm.auth.checkToken': {
+    perms: 'none',
+    fn: function(store, user, params) {
+      let token = store.tokens[params.auth_token];
+      if ( !token || token.apiKey !== params.api_key ) {
+        throw 98;
+      }
+      return {auth: _auth(store, params.auth_token)};
+    }
+  },
+
+
+  // ==== TIMELINES ==== //
+
+  'rtm.timelines.create': {
+    perms: 'read',
+    fn: function(store, user) {
+      let timeline = store.id('timeline');
+      user.timelines.push(timeline);
+      return {timeline: timeline};
+    }
+  },
+
+
+  // ==== LISTS ==== //
+
+  'rtm.lists.getList': {
+    perms: 'read',
+    fn: function(store, user) {
+      return {
+        lists: {
+          list: user.lists.filter(function(list) {
+            return list.deleted === '0';
+          }).map(_list)
+        }
+      };
+    }
+  },
+
+  'rtm.lists.add': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let name = params.name ? params.name.trim() : '';
+      if ( name === '' || name === 'Inbox' || name === 'Sent' ) {
+        throw 3000;
+      }
+      let list = store.list(user, name, params.filter);
+      return {transaction: store.transaction(), list: _list(list)};
+    }
+  },
+
+  'rtm.lists.delete': {
+    perms: 'delete',
+    timeline: true,
+    fn: function(store, user, params) {
+      let list = _getList(user, params.list_id, true);
+      list.deleted = '1';
+      return {transaction: store.transaction(), list: _list(list)};
+    }
+  },
+
+  'rtm.lists.setName': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let list = _getList(user, params.list_id, true);
+      let name = params.name ? params.name.trim() : '';
+      if ( name === '' || name === 'Inbox' || name === 'Sent' ) {
+        throw 3000;
+      }
+      list.name = name;
+      return {transaction: store.transaction(), list: _list(list)};
+    }
+  },
+
+  'rtm.lists.archive': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let list = _getList(user, params.list_id, true);
+      list.archived = '1';
+      return {transaction: store.transaction(), list: _list(list)};
+    }
+  },
+
+  'rtm.lists.unarchive': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let list = _getList(user, params.list_id, true);
+      list.archived = '0';
+      return {transaction: store.transaction(), list: _list(list)};
+    }
+  },
+
+
+  // ==== TASKS ==== //
+
+  'rtm.tasks.getList': {
+    perms: 'read',
+    fn: function(store, user, params) {
+      let series = user.series.filter(function(s) {
+        return s.task.deleted === '' &&
+          (params.list_id === undefined || s.list_id === params.list_id) &&
+          _matches(user, s, params.filter);
+      });
+
+      // Group the task series by list
+      let lists = {};
+      for ( let i = 0; i < series.length; i++ ) {
+        let s = series[i];
+        if ( lists[s.list_id] === undefined ) {
+          lists[s.list_id] = {id: s.list_id, taskseries: []};
+        }
+        lists[s.list_id].taskseries.push(_series(s));
+      }
+
+      let rtn = {rev: store.id('rev'), list: []};
+      for ( let id in lists ) {
+        if ( lists.hasOwnProperty(id) ) {
+          rtn.list.push(lists[id]);
+        }
+      }
+      return {tasks: rtn};
+    }
+  },
+
+  'rtm.tasks.add': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let props = params.parse === '1' ? _smartAdd(user, params.name) : {name: params.name};
+      if ( !props.name || props.name.trim() === '' ) {
+        throw 4000;
+      }
+      if ( params.list_id !== undefined ) {
+        props.list_id = _getList(user, params.list_id, true).id;
+      }
+      let s = store.series(user, props);
+      return _result(store, s);
+    }
+  },
+
+  'rtm.tasks.complete': _update(function(s) {
+    s.task.completed = _now();
+  }),
+
+  'rtm.tasks.uncomplete': _update(function(s) {
+    s.task.completed = '';
+  }),
+
+  'rtm.tasks.delete': _update(function(s) {
+    s.task.deleted = _now();
+  }, 'delete'),
+
+  'rtm.tasks.setPriority': _update(function(s, params) {
+    s.task.priority = _priority(params.priority);
+  }),
+
+  'rtm.tasks.movePriority': _update(function(s, params) {
+    let order = ['N', '3', '2', '1'];
+    let index = order.indexOf(s.task.priority);
+    if ( params.direction === 'up' ) {
+      index = Math.min(index + 1, order.length - 1);
+    }
+    else if ( params.direction === 'down' ) {
+      index = Math.max(index - 1, 0);
+    }
+    else {
+      throw 4030;
+    }
+    s.task.priority = order[index];
+  }),
+
+  'rtm.tasks.addTags': _update(function(s, params) {
+    let tags = _tags(params.tags);
+    for ( let i = 0; i < tags.length; i++ ) {
+      if ( s.tags.indexOf(tags[i]) === -1 ) {
+        s.tags.push(tags[i]);
+      }
+    }
+  }),
+
+  'rtm.tasks.removeTags': _update(function(s, params) {
+    let tags = _tags(params.tags);
+    s.tags = s.tags.filter(function(tag) {
+      return tags.indexOf(tag) === -1;
+    });
+  }),
+
+  'rtm.tasks.setTags': _update(function(s, params) {
+    s.tags = _tags(params.tags);
+  }),
+
+  'rtm.tasks.moveTo': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let s = _getSeries(user, params.from_list_id, params.taskseries_id, params.task_id);
+      s.list_id = _getList(user, params.to_list_id, true).id;
+      s.modified = _now();
+      return _result(store, s);
+    }
+  },
+
+  'rtm.tasks.postpone': _update(function(s) {
+    let due = s.task.due === '' ? new Date() : new Date(s.task.due);
+    due.setUTCDate(due.getUTCDate() + 1);
+    s.task.due = _date(due);
+    s.task.postponed = String(parseInt(s.task.postponed) + 1);
+  }),
+
+  'rtm.tasks.setDueDate': _update(function(s, params) {
+    s.task.due = params.due ? _parseDate(params.due) : '';
+    s.task.has_due_time = params.has_due_time === '1' ? '1' : '0';
+  }),
+
+  'rtm.tasks.setStartDate': _update(function(s, params) {
+    s.task.start = params.start ? _parseDate(params.start) : '';
+    s.task.has_start_time = params.has_start_time === '1' ? '1' : '0';
+  }),
+
+  'rtm.tasks.setName': _update(function(s, params) {
+    if ( !params.name || params.name.trim() === '' ) {
+      throw 4000;
+    }
+    s.name = params.name;
+  }),
+
+  'rtm.tasks.setURL': _update(function(s, params) {
+    s.url = params.url || '';
+  }),
+
+
+  // ==== NOTES ==== //
+
+  'rtm.tasks.notes.add': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let s = _getSeries(user, params.list_id, params.taskseries_id, params.task_id);
+      let note = store.note(s, params.note_title, params.note_text);
+      return {transaction: store.transaction(), note: _note(note)};
+    }
+  },
+
+  'rtm.tasks.notes.edit': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let note = _getNote(user, params.note_id);
+      note.title = params.note_title || '';
+      note.text = params.note_text || '';
+      note.modified = _now();
+      return {transaction: store.transaction(), note: _note(note)};
+    }
+  },
+
+  'rtm.tasks.notes.delete': {
+    perms: 'delete',
+    timeline: true,
+    fn: function(store, user, params) {
+      let note = _getNote(user, params.note_id);
+      let series = _noteSeries(user, note.id);
+      series.notes.splice(series.notes.indexOf(note), 1);
+      return {transaction: store.transaction()};
+    }
+  },
+
+
+  // ==== TRANSACTIONS ==== //
+
+  'rtm.transactions.undo': {
+    perms: 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let transaction = store.transactions[params.transaction_id];
+      if ( !transaction || transaction.userId !== user.id || transaction.timeline !== params.timeline ) {
+        throw 310;
+      }
+
+      // Restore the User's lists and task series to their state before the transaction
+      store.restore(user, transaction.state);
+      delete store.transactions[params.transaction_id];
+      return {};
+    }
+  }
+
+};
+
+
+
+// ==== METHOD HELPERS ==== //
+
+
+/**
+ * Create a method that updates a single task
+ * @param {function} fn Function(series, params) that updates the task series
+ * @param {string} [perms=write] Required permission
+ * @returns {Object} Method
+ * @private
+ */
+function _update(fn, perms) {
+  return {
+    perms: perms || 'write',
+    timeline: true,
+    fn: function(store, user, params) {
+      let s = _getSeries(user, params.list_id, params.taskseries_id, params.task_id);
+      fn(s, params);
+      s.modified = _now();
+      return _result(store, s);
+    }
+  };
+}
+
+/**
+ * Build the result of a task method
+ * @param {Object} store Data Store
+ * @param {Object} s Task Series
+ * @returns {Object}
+ * @private
+ */
+function _result(store, s) {
+  return {
+    transaction: store.transaction(),
+    list: {
+      id: s.list_id,
+      taskseries: [_series(s)]
+    }
+  };
+}
+
+/**
+ * Get the User's list
+ * @param {Object} user User
+ * @param {string} id List ID
+ * @param {boolean} [writable=false] Require the list to be unlocked and not smart
+ * @returns {Object} List
+ * @private
+ */
+function _getList(user, id, writable) {
+  for ( let i = 0; i < user.lists.length; i++ ) {
+    let list = user.lists[i];
+    if ( list.id === id && list.deleted === '0' ) {
+      if ( writable && (list.locked === '1' || list.smart === '1') ) {
+        throw 321;
+      }
+      return list;
+    }
+  }
+  throw 320;
+}
+
+/**
+ * Get the User's task series
+ * @param {Object} user User
+ * @param {string} listId List ID
+ * @param {string} seriesId Task Series ID
+ * @param {string} taskId Task ID
+ * @returns {Object} Task Series
+ * @private
+ */
+function _getSeries(user, listId, seriesId, taskId) {
+  _getList(user, listId);
+  for ( let i = 0; i < user.series.length; i++ ) {
+    let s = user.series[i];
+    if ( s.id === seriesId && s.list_id === listId && s.task.deleted === '' ) {
+      if ( s.task.id !== taskId ) {
+        throw 341;
+      }
+      return s;
+    }
+  }
+  throw 340;
+}
+
+/**
+ * Get the User's note
+ * @param {Object} user User
+ * @param {string} id Note ID
+ * @returns {Object} Note
+ * @private
+ */
+function _getNote(user, id) {
+  let series = _noteSeries(user, id);
+  for ( let i = 0; i < series.notes.length; i++ ) {
+    if ( series.notes[i].id === id ) {
+      return series.notes[i];
+    }
+  }
+}
+
+/**
+ * Get the User's task series that has the note
+ * @param {Object} user User
+ * @param {string} id Note ID
+ * @returns {Object} Task Series
+ * @private
+ */
+function _noteSeries(user, id) {
+  for ( let i = 0; i < user.series.length; i++ ) {
+    for ( let j = 0; j < user.series[i].notes.length; j++ ) {
+      if ( user.series[i].notes[j].id === id ) {
+        return user.series[i];
+      }
+    }
+  }
+  throw 350;
+}
+
+/**
+ * Check if the task series matches the filter.  The supported filter
+ * operators are `status`, `list`, `priority`, `tag`, `isTagged` and `name`,
+ * combined with `AND`.  Other operators are ignored.
+ * @param {Object} user User
+ * @param {Object} s Task Series
+ * @param {string} [filter] Task Filter
+ * @returns {boolean}
+ * @private
+ */
+function _matches(user, s, filter) {
+  if ( !filter ) {
+    return true;
+  }
+  let terms = filter.match(/\w+:("[^"]*"|\S+)/g) || [];
+  for ( let i = 0; i < terms.length; i++ ) {
+    let index = terms[i].indexOf(':');
+    let key = terms[i].substring(0, index).toLowerCase();
+    let value = terms[i].substring(index + 1).replace(/^"|"$/g, '').toLowerCase();
+
+    if ( key === 'status' ) {
+      let completed = s.task.completed !== '';
+      if ( (value === 'completed') !== completed ) {
+        return false;
+      }
+    }
+    else if ( key === 'list' ) {
+      let list = _getList(user, s.list_id);
+      if ( list.name.toLowerCase() !== value ) {
+        return false;
+      }
+    }
+    else if ( key === 'priority' ) {
+      if ( s.task.priority !== _priority(value) ) {
+        return false;
+      }
+    }
+    else if ( key === 'tag' ) {
+      if ( s.tags.indexOf(value) === -1 ) {
+        return false;
+      }
+    }
+    else if ( key === 'istagged' ) {
+      if ( (value === 'true') !== (s.tags.length > 0) ) {
+        return false;
+      }
+    }
+    else if ( key === 'name' ) {
+      if ( s.name.toLowerCase().indexOf(value) === -1 ) {
+        return false;
+      }
+    }
+  }
+  return true;
+}
+
+/**
+ * Parse the task name using RTM's Smart Add syntax (`^due`, `!priority`,
+ * `#list` or `#tag`, `~start`, `//note` and URLs).  Other Smart Add
+ * properties are removed from the name.
+ * @param {Object} user User
+ * @param {string} name Task name with Smart Add syntax
+ * @returns {Object} Task properties
+ * @private
+ */
+function _smartAdd(user, name) {
+  let rtn = {tags: []};
+  name = name || '';
+
+  // Note
+  let index = name.indexOf('//');
+  while ( index > -1 && name.substring(index-1, index) === ':' ) {
+    index = name.indexOf('//', index+2);
+  }
+  if ( index > -1 ) {
+    rtn.note = name.substring(index + 2).trim();
+    name = name.substring(0, index);
+  }
+
+  let words = [];
+  let tokens = name.split(/\s+/);
+  for ( let i = 0; i < tokens.length; i++ ) {
+    let token = tokens[i];
+    let value = token.substring(1);
+    if ( token === '' ) {
+      continue;
+    }
+    else if ( token[0] === '^' ) {
+      rtn.due = _parseDate(value);
+    }
+    else if ( token[0] === '~' ) {
+      rtn.start = _parseDate(value);
+    }
+    else if ( token[0] === '!' ) {
+      rtn.priority = _priority(value);
+    }
+    else if ( token[0] === '#' ) {
+      let list = user.lists.find(function(l) {
+        return l.deleted === '0' && l.smart === '0' && l.name.toLowerCase() === value.toLowerCase();
+      });
+      if ( list ) {
+        rtn.list_id = list.id;
+      }
+      else {
+        rtn.tags.push(value.toLowerCase());
+      }
+    }
+    else if ( /^https?:\/\//.test(token) ) {
+      rtn.url = token;
+    }
+    else if ( ['@', '*', '=', '+'].indexOf(token[0]) === -1 ) {
+      words.push(token);
+    }
+  }
+
+  rtn.name = words.join(' ');
+  return rtn;
+}
+
+/**
+ * Get the User's auth properties for the token
+ * @param {Object} store Data Store
+ * @param {string} token Auth Token
+ * @returns {Object}
+ * @private
+ */
+function _auth(store, token) {
+  let t = store.tokens[token];
+  let user = store.users[t.userId];
+  return {
+    token: token,
+    perms: t.perms,
+    user: {
+      id: user.id,
+      username: user.username,
+      fullname: user.fullname
+    }
+  };
+}
+
+
+
+// ==== RESPONSE PROPERTIES ==== //
+
+
+/**
+ * Get the response properties of the list
+ * @param {Object} list List
+ * @returns {Object}
+ * @private
+ */
+function _list(list) {
+  let rtn = {
+    id: list.id,
+    name: list.name,
+    deleted: list.deleted,
+    locked: list.locked,
+    archived: list.archived,
+    position: list.position,
+    smart: list.smart,
+    sort_order: '0'
+  };
+  if ( list.smart === '1' ) {
+    rtn.filter = list.filter;
+  }
+  return rtn;
+}
+
+/**
+ * Get the response properties of the task series
+ * @param {Object} s Task Series
+ * @returns {Object}
+ * @private
+ */
+function _series(s) {
+  return {
+    id: s.id,
+    created: s.created,
+    modified: s.modified,
+    name: s.name,
+    source: 'api',
+    url: s.url,
+    location_id: '',
+    tags: s.tags.length > 0 ? {tag: s.tags.slice()} : [],
+    participants: [],
+    notes: s.notes.length > 0 ? {note: s.notes.map(_note)} : [],
+    task: [Object.assign({}, s.task)]
+  };
+}
+
+/**
+ * Get the response properties of the note
+ * @param {Object} note Note
+ * @returns {Object}
+ * @private
+ */
+function _note(note) {
+  return {
+    id: note.id,
+    created: note.created,
+    modified: note.modified,
+    title: note.title,
+    $t: note.text
+  };
+}
+
+
+
+// ==== VALUE HELPERS ==== //
+
+
+/**
+ * Get the current time as an RTM timestamp
+ * @returns {string}
+ * @private
+ */
+function _now() {
+  return _date(new Date());
+}
+
+/**
+ * Format the Date as an RTM timestamp
+ * @param {Date} date
+ * @returns {string}
+ * @private
+ */
+function _date(date) {
+  return date.toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+/**
+ * Parse a date value (`today`, `tomorrow` or a date string)
+ * @param {string} value
+ * @returns {string} RTM timestamp
+ * @private
+ */
+function _parseDate(value) {
+  let date = new Date();
+  value = value.toLowerCase();
+  if ( value === 'tomorrow' ) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  else if ( value !== 'today' ) {
+    date = new Date(value);
+    if ( isNaN(date.getTime()) ) {
+      throw 360;
+    }
+  }
+  return _date(date);
+}
+
+/**
+ * Parse a priority value
+ * @param {string} value Priority (`1`, `2`, `3` or `N` / `none`)
+ * @returns {string}
+ * @private
+ */
+function _priority(value) {
+  value = value === undefined ? '' : String(value);
+  return ['1', '2', '3'].indexOf(value) > -1 ? value : 'N';
+}
+
+/**
+ * Parse a comma-separated list of tags
+ * @param {string} value Tags
+ * @returns {string[]}
+ * @private
+ */
+function _tags(value) {
+  return (value || '').split(',').map(function(tag) {
+    return tag.trim().toLowerCase();
+  }).filter(function(tag) {
+    return tag !== '';
+  });
+}
+
+
+module.exports = {
+  METHODS: METHODS,
+  date: _date
+};
@@ -0,0 +1,205 @@
+'use strict';
+
+const crypto = require('crypto');
+const date = require('./methods.js').date;
+
+
+/**
+ * ### Mock RTM API Data Store
+ *
+ * This module creates the in-memory data store of a {@link RTMMockServer}.
+ * The store holds the Users (with their lists, task series and timelines),
+ * the issued auth tokens, the pending auth frobs and the transactions that
+ * can be undone.
+ * @module testing/store
+ * @private
+ */
+
+
+/**
+ * Create a new, empty data store
+ * @returns {Object} Data Store
+ * @private
+ */
+module.exports = function() {
+  let rtn = {
+    users: {},
+    tokens: {},
+    frobs: {},
+    transactions: {}
+  };
+
+  // ID Counters, by type
+  let ids = {};
+
+  /**
+   * Get the next ID of the specified type
+   * @param {string} type ID type
+   * @returns {string}
+   * @private
+   */
+  rtn.id = function(type) {
+    ids[type] = (ids[type] || 0) + 1;
+    return String(ids[type]);
+  };
+
+  /**
+   * Add a new User with the default `Inbox` and `Sent` lists
+   * @param {string} [username] Username
+   * @param {string} [fullname] Full Name
+   * @returns {Object} User
+   * @private
+   */
+  rtn.user = function(username, fullname) {
+    let id = rtn.id('user');
+    let user = {
+      id: id,
+      username: username || 'user' + id,
+      fullname: fullname || 'User ' + id,
+      lists: [],
+      series: [],
+      timelines: []
+    };
+    rtn.users[id] = user;
+    rtn.list(user, 'Inbox').locked = '1';
+    rtn.list(user, 'Sent').locked = '1';
+    return user;
+  };
+
+  /**
+   * Issue a new auth token for the User
+   * @param {string} userId User ID
+   * @param {string} perms Token permissions
+   * @param {string} apiKey API Key the token was issued to
+   * @returns {string} Auth Token
+   * @private
+   */
+  rtn.token = function(userId, perms, apiKey) {
+    let token = crypto.randomBytes(20).toString('hex');
+    rtn.tokens[token] = {
+      userId: userId,
+      perms: perms,
+      apiKey: apiKey
+    };
+    return token;
+  };
+
+  /**
+   * Add a new list for the User
+   * @param {Object} user User
+   * @param {string} name List Name
+   * @param {string} [filter] Smart List Filter
+   * @returns {Object} List
+   * @private
+   */
+  rtn.list = function(user, name, filter) {
+    let list = {
+      id: rtn.id('list'),
+      name: name,
+      deleted: '0',
+      locked: '0',
+      archived: '0',
+      position: filter ? '0' : '-1',
+      smart: filter ? '1' : '0',
+      filter: filter
+    };
+    user.lists.push(list);
+    return list;
+  };
+
+  /**
+   * Add a new task series for the User
+   * @param {Object} user User
+   * @param {Object} props Task properties
+   * @returns {Object} Task Series
+   * @private
+   */
+  rtn.series = function(user, props) {
+    let now = date(new Date());
+    let s = {
+      id: rtn.id('series'),
+      list_id: props.list_id || user.lists[0].id,
+      created: now,
+      modified: now,
+      name: props.name,
+      url: props.url || '',
+      tags: props.tags || [],
+      notes: [],
+      task: {
+        id: rtn.id('task'),
+        due: props.due || '',
+        has_due_time: '0',
+        added: now,
+        completed: '',
+        deleted: '',
+        priority: props.priority || 'N',
+        postponed: '0',
+        estimate: '',
+        start: props.start || '',
+        has_start_time: '0'
+      }
+    };
+    if ( props.note ) {
+      rtn.note(s, '', props.note);
+    }
+    user.series.push(s);
+    return s;
+  };
+
+  /**
+   * Add a new note to the task series
+   * @param {Object} s Task Series
+   * @param {string} [title] Note Title
+   * @param {string} [text] Note Text
+   * @returns {Object} Note
+   * @private
+   */
+  rtn.note = function(s, title, text) {
+    let now = date(new Date());
+    let note = {
+      id: rtn.id('note'),
+      created: now,
+      modified: now,
+      title: title || '',
+      text: text || ''
+    };
+    s.notes.push(note);
+    return note;
+  };
+
+  /**
+   * Create a new transaction
+   * @returns {{id: string, undoable: string}}
+   * @private
+   */
+  rtn.transaction = function() {
+    return {
+      id: rtn.id('transaction'),
+      undoable: '1'
+    };
+  };
+
+  /**
+   * Get the state of the User's lists and task series (used to undo a transaction)
+   * @param {Object} user User
+   * @returns {string}
+   * @private
+   */
+  rtn.state = function(user) {
+    return JSON.stringify({lists: user.lists, series: user.series});
+  };
+
+  /**
+   * Restore the state of the User's lists and task series
+   * @param {Object} user User
+   * @param {string} state State of the User's lists and task series
+   * @private
+   */
+  rtn.restore = function(user, state) {
+    let parsed = JSON.parse(state);
+    user.lists = parsed.lists;
+    user.series = parsed.series;
+  };
+
+  return rtn;
+};
@@ -0,0 +1,92 @@
+'use strict';
+
+
+/**
+ * ### Mock RTM API XML Responses
+ *
+ * This module builds the XML (REST) format of the mock server's responses
+ * from the properties of the JSON format (the reverse of the conversion
+ * made by the `response/xml` parser).
+ * @module testing/xml
+ * @private
+ */
+
+
+/**
+ * Build the XML response
+ * @param {Object} rsp Response properties
+ * @returns {string} XML Response
+ * @private
+ */
+function stringify(rsp) {
+  let attrs = ' stat="' + _encode(rsp.stat) + '"';
+  let children = '';
+  for ( let key in rsp ) {
+    if ( rsp.hasOwnProperty(key) && key !== 'stat' ) {
+      children += _element(key, rsp[key], true);
+    }
+  }
+  return '<?xml version="1.0" encoding="UTF-8"?><rsp' + attrs + '>' + children + '</rsp>';
+}
+
+
+/**
+ * Build the XML element(s) of the property
+ * @param {string} name Element name
+ * @param {*} value Property value
+ * @param {boolean} [text=false] Build string values as elements with text
+ * instead of as attributes
+ * @returns {string}
+ * @private
+ */
+function _element(name, value, text) {
+  if ( Array.isArray(value) ) {
+    if ( value.length === 0 ) {
+      return '<' + name + '/>';
+    }
+    return value.map(function(item) {
+      return _element(name, item, true);
+    }).join('');
+  }
+  if ( value === null || typeof value !== 'object' ) {
+    return '<' + name + '>' + _encode(value) + '</' + name + '>';
+  }
+
+  let attrs = '';
+  let children = '';
+  let content = '';
+  for ( let key in value ) {
+    if ( value.hasOwnProperty(key) ) {
+      let v = value[key];
+      if ( key === '$t' ) {
+        content = _encode(v);
+      }
+      else if ( v !== null && typeof v === 'object' ) {
+        children += _element(key, v);
+      }
+      else if ( v !== undefined ) {
+        attrs += ' ' + key + '="' + _encode(v) + '"';
+      }
+    }
+  }
+  return '<' + name + attrs + '>' + content + children + '</' + name + '>';
+}
+
+/**
+ * Encode the XML entities of the value
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function _encode(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+
+module.exports = {
+  stringify: stringify
+};
@@ -0,0 +1,263 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const URL = require('url');
+const querystring = require('querystring');
+const error = require('../response/error.js');
+
+
+/**
+ * ### Record / Replay Cassettes
+ *
+ * A cassette wraps the transport of an {@link RTMClient} to record the API
+ * requests and responses to a fixture file or to replay the recorded
+ * responses without making any network requests.  The mode and file are
+ * set by the Client's `cassette` configuration properties.
+ *
+ * In `record` mode, each signed request is sent with the wrapped transport
+ * and the request (RTM method and parameters) and the raw response are saved
+ * to the cassette file.  The values of the `api_key`, `api_sig` and
+ * `auth_token` parameters are redacted from the requests and the auth tokens
+ * are redacted from the responses.
+ *
+ * In `replay` mode, the responses are returned from the cassette file.  A
+ * request matches a recording with the same RTM method and parameters,
+ * ignoring the values of the redacted parameters.  Matching recordings are
+ * returned in the order they were recorded (with the last one repeated).  A
+ * request without a recording returns a Cassette Error (`-8`).
+ * @module transport/cassette
+ * @private
+ */
+
+
+/**
+ * Request parameters that are redacted from the recordings and ignored
+ * when matching requests
+ * @type {string[]}
+ * @private
+ */
+const IGNORED = ['api_key', 'api_sig', 'auth_token'];
+
+/**
+ * Value of the redacted parameters and tokens
+ * @type {string}
+ * @private
+ */
+const REDACTED = '[REDACTED]';
+
+
+// Loaded Cassettes, by file
+let CASSETTES = {};
+
+
+/**
+ * Wrap the transport with a cassette
+ * @param {function} transport The transport used to send the requests in `record` mode
+ * @param {object} options Cassette options
+ * @param {string} options.mode Cassette mode (`record` or `replay`)
+ * @param {string} options.file Path to the cassette file
+ * @returns {function} cassette transport function(request, callback)
+ * @private
+ */
+function create(transport, options) {
+  if ( !options.file ) {
+    throw "A cassette file is required in " + options.mode + " mode";
+  }
+  let file = path.resolve(options.file);
+
+  let rtn = undefined;
+  if ( options.mode === 'record' ) {
+    rtn = function(request, callback) {
+      _record(transport, file, request, callback);
+    };
+  }
+  else if ( options.mode === 'replay' ) {
+    rtn = function(request, callback) {
+      _replay(file, request, callback);
+    };
+  }
+  else {
+    throw "Unknown cassette mode: " + options.mode;
+  }
+
+  /**
+   * Close the wrapped transport
+   * @private
+   */
+  rtn.close = function() {
+    if ( typeof transport.close === 'function' ) {
+      transport.close();
+    }
+  };
+
+  return rtn;
+}
+
+
+/**
+ * Send the request with the transport and record the response
+ * @param {function} transport The wrapped transport
+ * @param {string} file Cassette file
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {function} callback Callback function(err, response)
+ * @private
+ */
+function _record(transport, file, request, callback) {
+  require('./index.js').send(transport, request, function(err, response) {
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Start a new cassette the first time it is recorded
+    if ( CASSETTES[file] === undefined || CASSETTES[file].mode !== 'record' ) {
+      CASSETTES[file] = {mode: 'record', interactions: []};
+    }
+
+    // Save the recording
+    let params = _params(request);
+    CASSETTES[file].interactions.push({
+      request: {
+        method: params.method,
+        params: _redact(params)
+      },
+      response: {
+        status: response.status,
+        headers: response.headers || {},
+        body: _redactBody(response.body, params)
+      }
+    });
+    try {
+      fs.mkdirSync(path.dirname(file), {recursive: true});
+      fs.writeFileSync(file, JSON.stringify({interactions: CASSETTES[file].interactions}, null, 2));
+    }
+    catch(exception) {
+      return callback(exception);
+    }
+
+    return callback(null, response);
+  });
+}
+
+
+/**
+ * Return the recorded response of the request
+ * @param {string} file Cassette file
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {function} callback Callback function(err, response)
+ * @private
+ */
+function _replay(file, request, callback) {
+
+  // Load the cassette
+  if ( CASSETTES[file] === undefined || CASSETTES[file].mode !== 'replay' ) {
+    let interactions = undefined;
+    try {
+      interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions;
+    }
+    catch(exception) {
+      return callback(error.cassetteError("Could not read cassette file " + file));
+    }
+    CASSETTES[file] = {mode: 'replay', interactions: interactions, played: {}};
+  }
+  let cassette = CASSETTES[file];
+
+  // Find the matching recordings
+  let params = _params(request);
+  let key = _key(params);
+  let matches = [];
+  for ( let i = 0; i < cassette.interactions.length; i++ ) {
+    if ( _key(cassette.interactions[i].request.params) === key ) {
+      matches.push(cassette.interactions[i]);
+    }
+  }
+  if ( matches.length === 0 ) {
+    return callback(error.cassetteError("No recorded response for " + key));
+  }
+
+  // Return the next matching recording
+  let played = cassette.played[key] || 0;
+  cassette.played[key] = played + 1;
+  let recording = matches[Math.min(played, matches.length-1)];
+  return callback(null, {
+    status: recording.response.status,
+    headers: recording.response.headers,
+    body: recording.response.body
+  });
+
+}
+
+
+/**
+ * Get the parameters of the signed request, from its query string or body
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @returns {Object}
+ * @private
+ */
+function _params(request) {
+  let query = request.body !== undefined ? request.body : URL.parse(request.url).query;
+  return Object.assign({}, querystring.parse(query || ''));
+}
+
+/**
+ * Get a copy of the parameters with the ignored parameters redacted
+ * @param {Object} params Request Parameters
+ * @returns {Object}
+ * @private
+ */
+function _redact(params) {
+  let rtn = {};
+  for ( let key in params ) {
+    if ( params.hasOwnProperty(key) ) {
+      rtn[key] = IGNORED.indexOf(key) > -1 ? REDACTED : params[key];
+    }
+  }
+  return rtn;
+}
+
+/**
+ * Redact the auth tokens and the values of the ignored parameters from the
+ * response body
+ * @param {string} body Raw Response Body
+ * @param {Object} params Request Parameters
+ * @returns {string}
+ * @private
+ */
+function _redactBody(body, params) {
+  if ( typeof body !== 'string' ) {
+    return body;
+  }
+  for ( let i = 0; i < IGNORED.length; i++ ) {
+    let value = params[IGNORED[i]];
+    if ( value ) {
+      body = body.split(value).join(REDACTED);
+    }
+  }
+  return body
+    .replace(/("token"\s*:\s*")[^"]*(")/g, '$1' + REDACTED + '$2')
+    .replace(/(<token>)[^<]*(<\/token>)/g, '$1' + REDACTED + '$2');
+}
+
+/**
+ * Get the normalized key of the request parameters used to match the
+ * recordings: the RTM method and the sorted parameters, without the
+ * ignored parameters
+ * @param {Object} params Request Parameters
+ * @returns {string}
+ * @private
+ */
+function _key(params) {
+  let keys = Object.keys(params).sort();
+  let parts = [];
+  for ( let i = 0; i < keys.length; i++ ) {
+    if ( keys[i] !== 'method' && IGNORED.indexOf(keys[i]) === -1 ) {
+      parts.push(encodeURIComponent(keys[i]) + '=' + encodeURIComponent(params[keys[i]]));
+    }
+  }
+  return params.method + '?' + parts.join('&');
+}
+
+
+module.exports = {
+  create: create
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+
+/**
+ * ### Fetch Transport
+ *
+ * A transport that uses the `fetch()` function to make the API request.  By
+ * default, this will use the global `fetch()` function (available in Node
+ * 18+).  A different `fetch()` implementation can be used by creating the
+ * transport with {@link transport.create}.
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {function} callback Callback function(err, response)
+ * @param {Error} callback.err Network Error, if encountered
+ * @param {RTMClient~TransportResponse} callback.response The API Server's Response
+ * @private
+ */
+function transport(request, callback) {
+  return create()(request, callback);
+}
+
+
+/**
+ * Create a new fetch transport that uses the provided `fetch()` function
+ * @param {function} [fetch=global fetch] The `fetch()` implementation to use
+ * @returns {function} fetch transport function(request, callback)
+ * @private
+ */
+function create(fetch) {
+  return function(request, callback) {
+    let fn = fetch || global.fetch;
+    if ( typeof fn !== 'function' ) {
+      return callback(new Error("fetch() is not available"));
+    }
+
+    let status = undefined;
+    let headers = {};
+    fn(request.url, {
+      method: request.method,
+      headers: request.headers,
+      body: request.body,
+      signal: request.signal
+    }).then(function(response) {
+      status = response.status;
+      if ( response.headers && typeof response.headers.forEach === 'function' ) {
+        response.headers.forEach(function(value, key) {
+          headers[key] = value;
+        });
+      }
+      return response.text();
+    }).then(function(body) {
+
+      // Call the callback outside of the Promise chain (so its exceptions are thrown normally)
+      process.nextTick(callback, null, {
+        status: status,
+        headers: headers,
+        body: body
+      });
+    }, function(err) {
+      process.nextTick(callback, err);
+    });
+  };
+}
+
+
+transport.create = create;
+
+module.exports = transport;
@@ -0,0 +1,136 @@
+'use strict';
+
+const node = require('./node.js');
+const fetch = require('./fetch.js');
+const cassette = require('./cassette.js');
+
+
+/**
+ * ### RTM API Transports
+ *
+ * A transport is the function used by an {@link RTMClient} to send a signed
+ * API request to the RTM API Server and return the Server's raw response.
+ * The request signing, rate limiting and response parsing are done by the
+ * `RTMClient` and work the same for every transport.
+ *
+ * The following transports are included:
+ * - `node`: uses Node's `http`/`https` modules (default)
+ * - `fetch`: uses the `fetch()` function
+ *
+ * A custom transport is a function that takes the signed request and either
+ * calls the provided callback function or returns a Promise with the
+ * response:
+ *
+ * ```
+ * client.transport = function(request, callback) {
+ *   // request.method, request.url, request.headers, request.body
+ *   callback(null, {status: 200, body: '{"rsp":{"stat":"ok"}}'});
+ * };
+ * ```
+ * @module transport
+ * @private
+ */
+
+
+/**
+ * Available transports, by name
+ * @type {Object}
+ * @private
+ */
+const TRANSPORTS = {
+  node: node,
+  fetch: fetch
+};
+
+
+/**
+ * Get the transport function for the specified transport.
+ *
+ * The `node` transport is created with its own keep-alive agents using
+ * the Client's `agent` and `proxy` configuration properties.  When the
+ * Client's `cassette.mode` is set, the transport is wrapped with a
+ * record / replay cassette (see {@link module:transport/cassette}).
+ * @param {string|function} transport Transport name or custom transport function
+ * @param {object} [config] RTM Client configuration properties
+ * @returns {function} transport function(request, callback)
+ * @private
+ */
+function resolve(transport, config) {
+  config = config || {};
+  let rtn = undefined;
+  if ( transport === undefined || transport === 'node' ) {
+    rtn = node.create(config.agent, config.proxy);
+  }
+  else if ( typeof transport === 'string' ) {
+    if ( !TRANSPORTS.hasOwnProperty(transport) ) {
+      throw "Unknown transport: " + transport;
+    }
+    rtn = TRANSPORTS[transport];
+  }
+  else if ( typeof transport !== 'function' ) {
+    throw "Transport must be a transport name or function";
+  }
+  else {
+    rtn = transport;
+  }
+
+  // Wrap the transport with a cassette
+  if ( config.cassette && config.cassette.mode ) {
+    rtn = cassette.create(rtn, config.cassette);
+  }
+
+  return rtn;
+}
+
+
+/**
+ * Send the request using the transport.
+ *
+ * This will accept a transport that either uses the callback function or
+ * returns a Promise.  The callback will only be called once, and never from
+ * within a Promise handler (so its exceptions are not turned into rejections).
+ * @param {function} transport The transport function
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {function} callback Callback function(err, response)
+ * @private
+ */
+function send(transport, request, callback) {
+  let returned = false;
+  function done(err, response) {
+    if ( !returned ) {
+      returned = true;
+      if ( !err && (!response || response.status === undefined) ) {
+        err = new Error("Transport did not return a response status");
+      }
+      return callback(err, response);
+    }
+  }
+
+  let rtn = undefined;
+  try {
+    rtn = transport(request, done);
+  }
+  catch(exception) {
+
+    // The transport returned synchronously: the exception was thrown by the callback
+    if ( returned ) {
+      throw exception;
+    }
+    return done(exception);
+  }
+  if ( rtn && typeof rtn.then === 'function' ) {
+    rtn.then(function(response) {
+      process.nextTick(done, null, response);
+    }, function(err) {
+      process.nextTick(done, err || new Error("Transport Error"));
+    });
+  }
+}
+
+
+module.exports = {
+  node: node,
+  fetch: fetch,
+  resolve: resolve,
+  send: send
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+const URL = require('url');
+const http = require('http');
+const https = require('https');
+const proxies = require('./proxy.js');
+
+
+/**
+ * ### Node HTTP Transport
+ *
+ * The default transport used by an {@link RTMClient}.  This transport uses
+ * Node's `http` or `https` module (based on the request URL's scheme) to make
+ * the API request, using Node's global agents.
+ *
+ * A transport with its own keep-alive agents can be created with
+ * {@link transport.create}.  Each `RTMClient` creates its own node transport
+ * using the Client's `agent` and `proxy` configuration properties.
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {function} callback Callback function(err, response)
+ * @param {Error} callback.err Network Error, if encountered
+ * @param {RTMClient~TransportResponse} callback.response The API Server's Response
+ * @private
+ */
+function transport(request, callback) {
+  return _request(request, undefined, undefined, callback);
+}
+
+
+/**
+ * Create a new node transport that uses its own persistent (keep-alive)
+ * HTTP and HTTPS agents.  The agents are created when first used and are
+ * destroyed by the transport's `close()` function.
+ *
+ * Requests are sent through the proxy given by the `proxy` configuration
+ * properties or the proxy environment variables (see {@link module:transport/proxy}).
+ * @param {object} [options] Agent options
+ * @param {boolean} [options.keepAlive=true] Keep sockets open to be used by later requests
+ * @param {number} [options.keepAliveMsecs] Initial delay (ms) for TCP Keep-Alive packets
+ * @param {number} [options.maxSockets] Maximum number of sockets per host
+ * @param {number} [options.maxFreeSockets] Maximum number of idle sockets per host
+ * @param {number} [options.timeout] Socket idle timeout (ms)
+ * @param {object|boolean} [proxy] Proxy configuration properties (`false` to disable the proxy)
+ * @param {string} [proxy.url] Proxy URL
+ * @param {string} [proxy.noProxy] Comma-separated list of hosts to request directly
+ * @returns {function} node transport function(request, callback) with a `close()` function
+ * @private
+ */
+function create(options, proxy) {
+  options = Object.assign({keepAlive: true}, options);
+  let agents = {};
+
+  let rtn = function(request, callback) {
+    let protocol = URL.parse(request.url).protocol;
+    let proxyUrl = proxies.get(request.url, proxy);
+    let key = protocol + (proxyUrl ? proxyUrl : '');
+    if ( agents[key] === undefined ) {
+      if ( proxyUrl ) {
+        agents[key] = proxies.agent(protocol, proxyUrl, options);
+      }
+      else {
+        agents[key] = protocol === 'https:' ? new https.Agent(options) : new http.Agent(options);
+      }
+    }
+    return _request(request, agents[key], proxyUrl, callback);
+  };
+
+  /**
+   * Destroy the transport's agents and close their open sockets
+   * @private
+   */
+  rtn.close = function() {
+    for ( let key in agents ) {
+      if ( agents.hasOwnProperty(key) ) {
+        agents[key].destroy();
+      }
+    }
+    agents = {};
+  };
+
+  return rtn;
+}
+
+
+/**
+ * Make the request with the specified agent
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {http.Agent} [agent] HTTP(S) agent (default: Node's global agent)
+ * @param {string} [proxy] Proxy URL, if the request is sent through a proxy
+ * @param {function} callback Callback function(err, response)
+ * @private
+ */
+function _request(request, agent, proxy, callback) {
+
+  // Parse the URL
+  let url = URL.parse(request.url);
+
+  // Require the http(s) module
+  let client = url.protocol === 'https:' ? https : http;
+
+  // Build the request options
+  let options = {
+    hostname: url.hostname,
+    port: url.port,
+    path: url.path,
+    method: request.method,
+    headers: request.headers,
+    signal: request.signal
+  };
+  if ( agent !== undefined ) {
+    options.agent = agent;
+  }
+  if ( request.body !== undefined ) {
+    options.headers = Object.assign({'Content-Length': Buffer.byteLength(request.body)}, request.headers);
+  }
+
+  // Forward HTTP requests through the proxy
+  if ( proxy && url.protocol === 'http:' ) {
+    options = proxies.forward(options, request.url, proxy);
+    client = URL.parse(proxy).protocol === 'https:' ? https : http;
+  }
+
+  // Make the Request
+  let req = client.request(options, function(response) {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', function(chunk) {
+      body += chunk;
+    });
+    response.on('end', function() {
+      return callback(null, {
+        status: response.statusCode,
+        headers: response.headers,
+        body: body
+      });
+    });
+  });
+  req.on('error', function(err) {
+    return callback(err);
+  });
+
+  // Node versions without AbortController: cancel the request with req.abort()
+  if ( request.signal === undefined ) {
+    request.abort = function() {
+      req.abort();
+    };
+  }
+  if ( request.body !== undefined ) {
+    req.write(request.body);
+  }
+  req.end();
+
+}
+
+
+transport.create = create;
+
+module.exports = transport;
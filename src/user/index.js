@@ -1,6 +1,11 @@
 'use strict';
 
-const config = require('../../config');
+const config = require('../utils/config.js');
+const promise = require('../utils/promise.js');
+const RTMRateLimiter = require('../limiter/index.js');
+
+// Default configuration, for Users without a Client (built once)
+let DEFAULT_CONFIG = undefined;
 
 /**
  * ### RTM User
@@ -52,6 +57,12 @@ const config = require('../../config');
  * });
  * ```
  *
+ * or, when the callback function is omitted, using the returned Promise:
+ *
+ * ```
+ * let tasks = await user.tasks.get();
+ * ```
+ *
  * The `tasks.get()` function will also fetch the User's RTM Lists and add
  * the List (as an `RTMList` instance) that contains the Task to the `list`
  * property of the `RTMTask`.
@@ -78,9 +89,8 @@ class RTMUser {
     this._authToken = authToken;
     this._client = undefined;
     this._timeline = undefined;
-    this._burstsRemaining = config.api.rate.bursts;
-    this._lastBurst = undefined;
-    this._nextRequest = new Date().getTime();
+    this._timelineRequest = undefined;
+    this._transactions = {};
   }
 
 
@@ -148,62 +158,81 @@ class RTMUser {
   }
 
   /**
-   * The RTM Timeline for this User
-   * @type {number}
+   * The RTM Timeline for this User.
+   *
+   * This is `undefined` until the User's timeline is created: a timeline is
+   * created on demand before the User's first write request (or with
+   * {@link RTMUser#newTimeline|newTimeline}).
+   * @type {number|undefined}
    */
   get timeline() {
-    if ( !this._timeline ) {
-      throw "User does not have a valid timeline set";
-    }
     return this._timeline;
   }
 
   /**
-   * Set the RTM Timeline for this User
+   * Set the RTM Timeline for this User (or `undefined` to create a new
+   * timeline before the next write request)
    * @param {number} timeline
    * @private
    */
   set timeline(timeline) {
-    this._timeline = parseFloat(timeline);
+    let value = parseFloat(timeline);
+    this._timeline = isNaN(value) ? undefined : value;
   }
 
+  /**
+   * The transactions of the User's write requests made with the current
+   * timeline that have not been undone, oldest first
+   * (see {@link RTMUser#undo|undo})
+   * @type {RTMUser~Transaction[]}
+   */
+  get transactions() {
+    return require('../utils/transactions.js').history(this);
+  }
 
-  // ==== REQUEST RATE FUNCTIONS ==== //
+  /**
+   * The path to the Task Index Cache file used for this User (set by the
+   * `task_id_cache_file` configuration property of the User's Client)
+   * @type {string}
+   */
+  get indexCacheFile() {
+    return this._config.task_id_cache_file;
+  }
 
   /**
-   * Time (ms) to wait to make an API Request
-   * @returns {number}
+   * The configuration properties of the User's Client (or the default
+   * configuration when the User does not have a Client)
+   * @type {object}
+   * @private
    */
-  get requestTimeout() {
-    let now = new Date().getTime();
-    let next = this._nextRequest;
-    let wait = next - now < 0 ? 0 : next - now;
-
-    // Default Timeout
-    let timeout = config.api.rate.timeout;
-
-    // Can we start bursting again?
-    if ( this._lastBurst !== undefined ) {
-      let burstDelta = now - this._lastBurst;
-      if ( burstDelta > config.api.rate.burstWait ) {
-        this._burstsRemaining = config.api.rate.bursts;
-      }
+  get _config() {
+    if ( this._client ) {
+      return this._client.config;
     }
-
-    // Do we have bursts remaining?
-    if ( this._burstsRemaining > 0 ) {
-      this._burstsRemaining--;
-      timeout = config.api.rate.burstTimeout;
-      if ( this._burstsRemaining === 0 ) {
-        this._lastBurst = now;
-      }
+    if ( DEFAULT_CONFIG === undefined ) {
+      DEFAULT_CONFIG = config.build();
     }
+    return DEFAULT_CONFIG;
+  }
 
-    // Set Next Request Time
-    this._nextRequest = now + wait + timeout;
 
-    // Return wait time
-    return wait;
+  // ==== REQUEST RATE FUNCTIONS ==== //
+
+  /**
+   * The {@link RTMRateLimiter} shared by all requests made for this User
+   * with the same API Key
+   * @type {RTMRateLimiter}
+   */
+  get rateLimiter() {
+    return RTMRateLimiter.get(this.client, this);
+  }
+
+  /**
+   * Time (ms) until the next API Request slot is available for this User
+   * @returns {number}
+   */
+  get requestTimeout() {
+    return this.rateLimiter.nextSlot;
   }
 
 
@@ -217,14 +246,121 @@ class RTMUser {
    * of the object as the parameters' key/value pairs.
    *
    * This function will automatically add the User's auth token to the request.
+   *
+   * Request `options` can be provided as a second object after the `params`.
    * @param {string} method RTM API Method
    * @param {object} [params] RTM API Method Parameters
+   * @param {object} [options] Request Options
+   * @param {object|number|boolean} [options.retry] Retry policy for this request: an object
+   * overriding properties of the Client's `retry` configuration, the maximum number of
+   * attempts or `false` to disable retries.  Write methods are only retried when the
+   * request's `retry` option sets `writes: true`
+   * @param {number} [options.timeout] Request timeout (ms) for this request (`0` for no timeout)
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {boolean} [options.post] `true` to send the request as a POST request (with the parameters
+   * in a form-encoded body), `false` to send a GET request
+   * @param {boolean} [options.cache] `false` to skip the response cache for this request
+   * @param {boolean} [options.coalesce] `false` to not share this request with identical in-flight requests
    * @param {function} callback Callback function(err, resp)
    * @param {RTMError} callback.err RTM Error Response, if encountered
    * @param {RTMSuccess} callback.resp The parsed RTM API Response, if successful
+   * @returns {Promise<RTMSuccess>|undefined} When no callback is provided, a
+   * Promise that resolves with the `RTMSuccess` or rejects with the `RTMError`
+   */
+  get(method, params, options, callback) {
+    let user = this;
+    return promise.call(function() {
+      let args = Array.prototype.slice.call(arguments);
+      args.push(user, user.client);
+      require('../utils/get.js').apply(undefined, args);
+    }, arguments);
+  }
+
+  /**
+   * Start a new timeline for this RTM User.
+   *
+   * A timeline is created automatically before the User's first write request
+   * (and again if the RTM API rejects it).  This function can be used to start
+   * a fresh timeline for each logical session (such as a new set of changes
+   * that can be undone together).
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, timeline)
+   * @param {RTMError} callback.err RTM Error Response, if encountered
+   * @param {number} callback.timeline The User's new timeline
+   * @returns {Promise<number>|undefined} When no callback is provided, a Promise
+   * that resolves with the User's new timeline
+   */
+  newTimeline(options, callback) {
+    let user = this;
+    return promise.call(function(options, callback) {
+      if ( callback === undefined && typeof options === 'function' ) {
+        callback = options;
+        options = {};
+      }
+      user.get('rtm.timelines.create', {}, options || {}, function(err, resp) {
+        if ( err ) {
+          return callback(err);
+        }
+        user.timeline = resp.timeline;
+        return callback(null, user.timeline);
+      });
+    }, arguments);
+  }
+
+  /**
+   * Undo one of this RTM User's transactions (with `rtm.transactions.undo`).
+   *
+   * Each write request made with a timeline returns a transaction (the write
+   * wrapper functions, such as `tasks.complete`, return it with their callback
+   * or Promise).  The User keeps the history of its (latest 100) transactions, by timeline,
+   * until they are undone.  When the transaction ID is not given, the latest
+   * transaction of the User's current timeline is undone.
+   *
+   * An Undo Error (`-12`) is returned when the transaction is not in the
+   * User's history or the RTM API reports that it cannot be undone.
+   *
+   * ```
+   * let transaction = await user.tasks.complete(1);
+   * await user.undo(transaction.id);
+   * ```
+   * @param {number} [transactionId] ID of the transaction to undo
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
+   * @param {RTMError} callback.err RTM Error, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The undone transaction
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a
+   * Promise that resolves with the undone transaction
    */
-  get(method, params, callback) {
-    require('../utils/get.js')(method, params, this, this.client, callback);
+  undo(transactionId, options, callback) {
+    let user = this;
+    return promise.call(function() {
+      let args = Array.prototype.slice.call(arguments);
+      args.unshift(user);
+      require('../utils/transactions.js').undo.apply(undefined, args);
+    }, arguments);
+  }
+
+  /**
+   * Undo all of the transactions in this RTM User's history (of all of the
+   * User's timelines), latest first.  Undoing stops with an Undo Error (`-12`) at the first transaction
+   * that cannot be undone (the later transactions remain undone).
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the requests
+   * @param {function} callback Callback function(err, transactions)
+   * @param {RTMError} callback.err RTM Error, if encountered
+   * @param {RTMUser~Transaction[]} callback.transactions The undone transactions, latest first
+   * @returns {Promise<RTMUser~Transaction[]>|undefined} When no callback is provided, a
+   * Promise that resolves with the undone transactions
+   */
+  undoAll(options, callback) {
+    let user = this;
+    return promise.call(function() {
+      let args = Array.prototype.slice.call(arguments);
+      args.unshift(user);
+      require('../utils/transactions.js').undoAll.apply(undefined, args);
+    }, arguments);
   }
 
   /**
@@ -233,16 +369,77 @@ class RTMUser {
    * @param {RTMError} callback.err RTM Error, if encountered (excluding a `Login failed / Invalid auth token` error)
    * @param {boolean} callback.verified `true` if the User's auth token was successfully verified or `false` if
    * a `Login failed / Invalid auth token` error was encountered
+   * @returns {Promise<boolean>|undefined} When no callback is provided, a Promise
+   * that resolves with the verified flag
    */
   verifyAuthToken(callback) {
-    require('../utils/auth.js').verifyAuthToken(this.authToken, this.client, callback);
+    let user = this;
+    return promise.call(function(callback) {
+      require('../utils/auth.js').verifyAuthToken(user.authToken, user.client, callback);
+    }, arguments);
   }
 
   /**
    * Clear the Task Index Cache for this RTM User
    */
   clearTaskIndexCache() {
-    require('../utils/taskIds.js').clear(this.id);
+    require('../utils/taskIds.js').clear(this.id, this.indexCacheFile);
+  }
+
+  /**
+   * Clear the cached API responses for this RTM User (see the `cache`
+   * option of the {@link RTMClient})
+   * @param {function} [callback] Callback function(err)
+   * @returns {Promise|undefined} When no callback is provided, a Promise that
+   * resolves when the cached responses are removed
+   */
+  clearResponseCache(callback) {
+    let user = this;
+    return promise.call(function(callback) {
+      if ( !user._client ) {
+        return callback(null);
+      }
+      require('../cache/index.js').clear(user.client, user, callback);
+    }, arguments);
+  }
+
+
+  /**
+   * Run a batch of operations for this RTM User.
+   *
+   * Each operation is either an object with the name of the User function to
+   * `call` (such as `tasks.complete`, `tasks.addTags`, `lists.add` or `get`) and
+   * its `args` (without the callback), or a function(user, callback).  Up to
+   * `concurrency` operations are run at once and each of their requests waits
+   * for the User's rate limiter.
+   *
+   * ```
+   * let report = await user.batch([
+   *   {call: 'tasks.complete', args: [1]},
+   *   {call: 'tasks.addTags', args: [2, ['errands']]}
+   * ], {concurrency: 2, onProgress: (p) => console.log(p.completed + '/' + p.total)});
+   * ```
+   * @param {Array<Object|function>} ops Batch Operations
+   * @param {object} [options] Batch Options
+   * @param {number} [options.concurrency=3] Maximum number of operations in progress at once
+   * @param {boolean} [options.stopOnError=false] `true` to stop starting new operations after the first
+   * failed operation (the remaining operations are `skipped`), `false` to run all of the operations
+   * @param {function} [options.onProgress] Function(progress) called as each operation is complete, with
+   * the operation's `index`, `status`, `err` and `result` and the number of `completed` and `total` operations
+   * @param {function} callback Callback function(err, report)
+   * @param {RTMError} callback.err RTM Error Response, if encountered
+   * @param {Object} callback.report Batch Report, with the number of `total`, `succeeded`, `failed` and
+   * `skipped` operations and the `results` of each operation (its `index`, `status` (`ok`, `error` or
+   * `skipped`), `result` and `err`)
+   * @returns {Promise<Object>|undefined} When no callback is provided, a Promise
+   * that resolves with the Batch Report
+   * @throws {string} If the operations are not an array
+   */
+  batch(ops, options, callback) {
+    let user = this;
+    return promise.call(function(ops, options, callback) {
+      require('../utils/batch.js').run(user, ops, options, callback);
+    }, arguments);
   }
 
 
@@ -285,4 +482,16 @@ class RTMUser {
 }
 
 
+// ==== TRANSACTION TYPES ==== //
+
+/**
+ * The transaction of a User's write request (see {@link RTMUser#undo|RTMUser.undo})
+ * @typedef {Object} RTMUser~Transaction
+ * @property {number} id Transaction ID
+ * @property {boolean} undoable `true` if the RTM API reports that the transaction can be undone
+ * @property {string} method RTM API Method of the write request
+ * @property {number} timeline Timeline of the write request
+ */
+
+
 module.exports = RTMUser;
@@ -2,6 +2,7 @@
 
 const errors = require('../response/error.js');
 const _lists = require('../list/helper.js');
+const promise = require('../utils/promise.js');
 
 
 /**
@@ -15,42 +16,75 @@ module.exports = function(user) {
 
   /**
    * Get the list of RTM Lists for this User from the API Server
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
    * @param {function} callback Callback function(err, lists)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
    * @param {RTMList[]} callback.lists List of User's RTM Lists
+   * @returns {Promise<RTMList[]>|undefined} When no callback is provided, a Promise that
+   * resolves with the User's RTM Lists
    * @function RTMUser~lists/get
    */
-  rtn.get = function(callback) {
-    _lists.get(user, callback);
+  rtn.get = function(options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
+    _lists.get(user, options, callback);
   };
 
   /**
    * Add a new RTM List for this User
    * @param {string} name Name of the new RTM List
    * @param {string} [filter] Smart List Filter
-   * @param {function} callback Callback function(err, lists)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~lists/add
    */
-  rtn.add = function(name, filter, callback) {
+  rtn.add = function(name, filter, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = undefined;
+    }
     if ( callback === undefined && typeof filter === 'function' ) {
       callback = filter;
       filter = undefined;
     }
-    _lists.add(name, filter, user, callback);
+    if ( typeof filter === 'object' ) {
+      options = filter;
+      filter = undefined;
+    }
+    if ( options === undefined ) {
+      options = {};
+    }
+    _lists.add(name, filter, user, options, callback);
   };
 
   /**
    * Remove the specified RTM List for this User
    * @param {string} name RTM List Name
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~lists/remove
    */
-  rtn.remove = function(name, callback) {
+  rtn.remove = function(name, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the User's Lists
-    _lists.get(user, function(err, lists) {
+    _lists.get(user, options, function(err, lists) {
       if ( err ) {
         return callback(err);
       }
@@ -65,7 +99,7 @@ module.exports = function(user) {
 
       // Remove the matching List
       if ( ids.length === 1 ) {
-        return _lists.remove(ids[0], user, callback);
+        return _lists.remove(ids[0], user, options, callback);
       }
       else {
         return callback(errors.referenceError());
@@ -79,14 +113,23 @@ module.exports = function(user) {
    * Rename the specified RTM List for this User
    * @param {string} oldName Old RTM List Name
    * @param {string} newName New RTM List name
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~lists/rename
    */
-  rtn.rename = function(oldName, newName, callback) {
+  rtn.rename = function(oldName, newName, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the User's Lists
-    _lists.get(user, function(err, lists) {
+    _lists.get(user, options, function(err, lists) {
       if ( err ) {
         return callback(err);
       }
@@ -101,7 +144,7 @@ module.exports = function(user) {
 
       // Rename the matching List
       if ( ids.length === 1 ) {
-        return _lists.rename(ids[0], newName, user, callback);
+        return _lists.rename(ids[0], newName, user, options, callback);
       }
       else {
         return callback(errors.referenceError());
@@ -114,14 +157,23 @@ module.exports = function(user) {
   /**
    * Archive the specified RTM List for this User
    * @param {string} name RTM List Name
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~lists/archive
    */
-  rtn.archive = function(name, callback) {
+  rtn.archive = function(name, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the User's Lists
-    _lists.get(user, function(err, lists) {
+    _lists.get(user, options, function(err, lists) {
       if ( err ) {
         return callback(err);
       }
@@ -136,7 +188,7 @@ module.exports = function(user) {
 
       // Remove the matching List
       if ( ids.length === 1 ) {
-        return _lists.archive(ids[0], user, callback);
+        return _lists.archive(ids[0], user, options, callback);
       }
       else {
         return callback(errors.referenceError());
@@ -146,5 +198,5 @@ module.exports = function(user) {
 
   };
 
-  return rtn;
+  return promise.promisifyAll(rtn);
 };
\ No newline at end of file
@@ -4,6 +4,7 @@ const _tasks = require('../task/helper.js');
 const _lists = require('../list/helper.js');
 const taskIds = require('../utils/taskIds.js');
 const errors = require('../response/error.js');
+const promise = require('../utils/promise.js');
 
 /**
  * This module returns the RTM Tasks-related functions for the RTMUser
@@ -17,16 +18,34 @@ module.exports = function(user) {
   /**
    * Get the list of RTM Tasks for this User.
    * @param {string} [filter] Tasks Filter (RTM Advanced Search Syntax)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the requests
    * @param {function} callback Callback function(err, tasks)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
    * @param {RTMTask[]} callback.tasks List of User's RTM Tasks
+   * @returns {Promise<RTMTask[]>|undefined} When no callback is provided, a Promise that
+   * resolves with the User's RTM Tasks
    * @function RTMUser~tasks/get
    */
-  rtn.get = function(filter, callback) {
+  rtn.get = function(filter, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = undefined;
+    }
     if ( callback === undefined && typeof filter === 'function' ) {
       callback = filter;
       filter = "";
     }
+    if ( typeof filter === 'object' ) {
+      options = filter;
+      filter = "";
+    }
+    if ( filter === undefined ) {
+      filter = "";
+    }
+    if ( options === undefined ) {
+      options = {};
+    }
 
     // Callback counters
     let count = 0;
@@ -38,7 +57,7 @@ module.exports = function(user) {
     let TASKS = [];
 
     // Update the User's Lists and Tasks
-    _lists.get(user, function(err, lists) {
+    _lists.get(user, options, function(err, lists) {
       if ( lists ) {
         for ( let i = 0; i < lists.length; i++ ) {
           LISTS[lists[i].id] = lists[i];
@@ -46,7 +65,7 @@ module.exports = function(user) {
       }
       _tasksUpdateCallback(err);
     });
-    _tasks.get(user, filter, function(err, tasks) {
+    _tasks.get(user, filter, options, function(err, tasks) {
       TASKS = tasks;
       _tasksUpdateCallback(err);
     });
@@ -86,25 +105,40 @@ module.exports = function(user) {
    * Get the RTMTask specified by its index
    * @param {int} index Task Index
    * @param {string} [filter] Tasks Filter (RTM Advanced Search Syntax)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the requests
    * @param {function} callback Callback function(err, task)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
    * @param {RTMTask} callback.task Matching RTM Task
+   * @returns {Promise<RTMTask>|undefined} When no callback is provided, a Promise that
+   * resolves with the matching RTM Task
    * @function RTMUser~tasks/getTask
    */
-  rtn.getTask = function(index, filter, callback) {
+  rtn.getTask = function(index, filter, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = undefined;
+    }
     if ( callback === undefined && typeof filter === 'function' ) {
       callback = filter;
       filter = "";
     }
+    if ( typeof filter === 'object' ) {
+      options = filter;
+      filter = "";
+    }
+    if ( options === undefined ) {
+      options = {};
+    }
 
     // Get Task Info
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
 
       // Get Task From API
-      user.tasks.get(filter, function(err, tasks) {
+      user.tasks.get(filter, options, function(err, tasks) {
         if ( err ) {
           return callback(err);
         }
@@ -144,29 +178,47 @@ module.exports = function(user) {
    * @param {string} props.to Contact Name to give Task to (existing contact or email address)
    * @param {string} props.url Task Reference URL
    * @param {string} props.note Task Note
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/add
    */
-  rtn.add = function(name, props, callback) {
+  rtn.add = function(name, props, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
     if ( callback === undefined && typeof props === 'function' ) {
       callback = props;
       props = {};
     }
-    return _tasks.add(name, props, user, callback);
+    return _tasks.add(name, props, user, options, callback);
   };
 
   /**
    * Mark the specified Task as complete
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/complete
    */
-  rtn.complete = function(index, callback) {
+  rtn.complete = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -177,6 +229,7 @@ module.exports = function(user) {
         taskSeriesId,
         taskId,
         user,
+        options,
         callback
       );
 
@@ -187,14 +240,23 @@ module.exports = function(user) {
   /**
    * Mark the specified Task as NOT complete
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/uncomplete
    */
-  rtn.uncomplete = function(index, callback) {
+  rtn.uncomplete = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -205,6 +267,7 @@ module.exports = function(user) {
         taskSeriesId,
         taskId,
         user,
+        options,
         callback
       );
 
@@ -216,14 +279,23 @@ module.exports = function(user) {
    * Set the priority of the specified Task
    * @param {int} index Task Index
    * @param {int} priority Task Priority
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/priority
    */
-  rtn.priority = function(index, priority, callback) {
+  rtn.priority = function(index, priority, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -235,6 +307,7 @@ module.exports = function(user) {
         taskId,
         priority,
         user,
+        options,
         callback
       );
 
@@ -246,11 +319,20 @@ module.exports = function(user) {
    * Add the specified tag(s) to the Task
    * @param {int} index Task Index
    * @param {string|string[]} tags Tag(s) to add to task
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/addTags
    */
-  rtn.addTags = function(index, tags, callback) {
+  rtn.addTags = function(index, tags, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Make sure tags is an array
     if ( !Array.isArray(tags) ) {
@@ -258,7 +340,7 @@ module.exports = function(user) {
     }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -270,6 +352,7 @@ module.exports = function(user) {
         taskId,
         tags,
         user,
+        options,
         callback
       );
 
@@ -283,15 +366,24 @@ module.exports = function(user) {
    * @param {int} index Task Index
    * @param {string} title Title of the Note
    * @param {string|string[]} notes Note(s) to add to task
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/addNotes
    */
-  rtn.addNotes = function(index, title, notes, callback) {
+  rtn.addNotes = function(index, title, notes, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
     var title = (typeof title !== 'undefined') ? title : "";
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -304,6 +396,7 @@ module.exports = function(user) {
     	title,
         notes,
         user,
+        options,
         callback
       );
 
@@ -314,14 +407,23 @@ module.exports = function(user) {
   /**
    * Remove the specified Task from the User's Account
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/remove
    */
-  rtn.remove = function(index, callback) {
+  rtn.remove = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -332,6 +434,7 @@ module.exports = function(user) {
         taskSeriesId,
         taskId,
         user,
+        options,
         callback
       );
 
@@ -342,14 +445,23 @@ module.exports = function(user) {
   /**
    * Increase the Priority of the specified Task
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/increasePriority
    */
-  rtn.increasePriority = function(index, callback) {
+  rtn.increasePriority = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -361,6 +473,7 @@ module.exports = function(user) {
         taskId,
         'up',
         user,
+        options,
         callback
       );
 
@@ -371,14 +484,23 @@ module.exports = function(user) {
   /**
    * Decrease the Priority of the specified Task
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/decreasePriority
    */
-  rtn.decreasePriority = function(index, callback) {
+  rtn.decreasePriority = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -390,6 +512,7 @@ module.exports = function(user) {
         taskId,
         'down',
         user,
+        options,
         callback
       );
 
@@ -401,20 +524,29 @@ module.exports = function(user) {
    * Move the specified Task to a different List
    * @param {int} index Task Index
    * @param {string} listName List Name to move Task to
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/move
    */
-  rtn.move = function(index, listName, callback) {
+  rtn.move = function(index, listName, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
 
       // Get the List
-      user.lists.get(function(err, lists) {
+      user.lists.get(options, function(err, lists) {
         if ( err ) {
           return callback(err);
         }
@@ -440,6 +572,7 @@ module.exports = function(user) {
             taskId,
             id[0],
             user,
+            options,
             callback
           );
         }
@@ -453,14 +586,23 @@ module.exports = function(user) {
   /**
    * Postpone the due date of the Task by 1 day
    * @param {int} index Task Index
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/postpone
    */
-  rtn.postpone = function(index, callback) {
+  rtn.postpone = function(index, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -471,6 +613,7 @@ module.exports = function(user) {
         taskSeriesId,
         taskId,
         user,
+        options,
         callback
       );
 
@@ -482,11 +625,20 @@ module.exports = function(user) {
    * Remove the specified tag(s) from the Task
    * @param {int} index Task Index
    * @param {string|string[]} tags Tags to remove from the Task
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/removeTags
    */
-  rtn.removeTags = function(index, tags, callback) {
+  rtn.removeTags = function(index, tags, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Make sure tags is an array
     if ( !Array.isArray(tags) ) {
@@ -494,7 +646,7 @@ module.exports = function(user) {
     }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -506,6 +658,7 @@ module.exports = function(user) {
         taskId,
         tags,
         user,
+        options,
         callback
       );
 
@@ -517,14 +670,23 @@ module.exports = function(user) {
    * Set the Due Date of the specified Task
    * @param {int} index Task Index
    * @param {string} due The Due Date of the Task (RTM parsed date)
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/setDueDate
    */
-  rtn.setDueDate = function(index, due, callback) {
+  rtn.setDueDate = function(index, due, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -536,6 +698,7 @@ module.exports = function(user) {
         taskId,
         due,
         user,
+        options,
         callback
       );
 
@@ -547,14 +710,23 @@ module.exports = function(user) {
    * Set the Name of the specified Task
    * @param {int} index Task Index
    * @param {string} name New Task Name
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/setName
    */
-  rtn.setName = function(index, name, callback) {
+  rtn.setName = function(index, name, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -566,6 +738,7 @@ module.exports = function(user) {
         taskId,
         name,
         user,
+        options,
         callback
       );
 
@@ -577,14 +750,23 @@ module.exports = function(user) {
    * Set the URL of the specified Task
    * @param {int} index Task Index
    * @param {string} url New Task URL
-   * @param {function} callback Callback function(err)
+   * @param {object} [options] Request Options
+   * @param {AbortSignal} [options.signal] Signal used to cancel the request
+   * @param {function} callback Callback function(err, transaction)
    * @param {RTMError} callback.err RTM API Error Response, if encountered
+   * @param {RTMUser~Transaction} callback.transaction The RTM transaction of the request
+   * @returns {Promise<RTMUser~Transaction>|undefined} When no callback is provided, a Promise that
+   * resolves with the RTM transaction of the request
    * @function RTMUser~tasks/setURL
    */
-  rtn.setURL = function(index, url, callback) {
+  rtn.setURL = function(index, url, options, callback) {
+    if ( callback === undefined && typeof options === 'function' ) {
+      callback = options;
+      options = {};
+    }
 
     // Get the Task
-    _getTaskInfo(index, function(err, listId, taskSeriesId, taskId) {
+    _getTaskInfo(index, options, function(err, listId, taskSeriesId, taskId) {
       if ( err ) {
         return callback(err);
       }
@@ -596,6 +778,7 @@ module.exports = function(user) {
         taskId,
         url,
         user,
+        options,
         callback
       );
 
@@ -608,15 +791,16 @@ module.exports = function(user) {
   /**
    * Get the Matching Task IDs by Index
    * @param {int} index Task Index
+   * @param {object} [options] Request Options
    * @param callback Callback function(err, list_id, taskseries_id, task_id)
    * @private
    */
-  function _getTaskInfo(index, callback) {
+  function _getTaskInfo(index, options, callback) {
 
     // Get IDs
-    let listId = taskIds.getListId(user.id, index);
-    let taskSeriesId = taskIds.getTaskSeriesId(user.id, index);
-    let taskId = taskIds.getTaskId(user.id, index);
+    let listId = taskIds.getListId(user.id, index, user.indexCacheFile);
+    let taskSeriesId = taskIds.getTaskSeriesId(user.id, index, user.indexCacheFile);
+    let taskId = taskIds.getTaskId(user.id, index, user.indexCacheFile);
 
     // All IDs found...
     if ( listId !== undefined && taskSeriesId !== undefined && taskId !== undefined ) {
@@ -624,7 +808,7 @@ module.exports = function(user) {
     }
 
     // Get Task From API
-    user.tasks.get(function(err, tasks) {
+    user.tasks.get(options, function(err, tasks) {
       if ( err ) {
         return callback(err);
       }
@@ -645,5 +829,5 @@ module.exports = function(user) {
     });
   }
 
-  return rtn;
+  return promise.promisifyAll(rtn);
 };
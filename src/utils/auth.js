@@ -2,11 +2,16 @@
 
 const RTMUser = require('../user/index.js');
 const sign = require('./sign.js');
+const methods = require('./methods.js');
+const error = require('../response/error.js');
 
-// API Configuration Properties
-const config = require('../../config');
-const scheme = config.api.scheme;
-const base = config.api.url.auth;
+
+/**
+ * Time (ms) a pending permission upgrade is kept (the lifetime of an RTM frob)
+ * @type {number}
+ * @private
+ */
+const UPGRADE_TTL = 60*60*1000;
 
 
 /**
@@ -34,6 +39,18 @@ function getAuthUrl(client, callback) {
 }
 
 
+/**
+ * Get the Auth URL of the web-app auth flow (without a frob: the frob is
+ * given to the API Key's callback URL once the User authorizes the Client)
+ * @param {RTMClient} client RTM Client making the request
+ * @returns {string} RTM Auth URL
+ * @private
+ */
+function getWebAuthUrl(client) {
+  return _buildAuthURL(undefined, client);
+}
+
+
 /**
  * Get Auth Token
  * @param {string} frob RTM Frob, from {@link getAuthUrl}
@@ -54,6 +71,15 @@ function getAuthToken(frob, client, callback) {
       return callback(err);
     }
 
+    // Apply the Client's permission upgrade, once the User has authorized it
+    let upgraded = client._upgrades[frob];
+    if ( upgraded ) {
+      delete client._upgrades[frob];
+      if ( upgraded.expires > new Date().getTime() ) {
+        client.perms = upgraded.perms;
+      }
+    }
+
     // Create new RTMUser
     let user = client.user.create(
       resp.auth.user.id,
@@ -119,6 +145,49 @@ function getAuthToken(frob, client, callback) {
 
 
 
+/**
+ * Get an Auth URL for a higher permission than the Client's permission.  The
+ * Client's permission is raised when the Auth Token of the URL's frob is
+ * received with {@link getAuthToken}.  The pending upgrade is kept by the
+ * Client, by frob, for the lifetime of the frob ({@link UPGRADE_TTL}).
+ * @param {string} perms New RTM API Client Access Permissions
+ * @param {RTMClient} client RTM Client making the request
+ * @param {function} callback Callback function(err, authUrl, frob)
+ * @private
+ */
+function upgrade(perms, client, callback) {
+
+  // Check the new permission
+  let level = methods.PERMS.indexOf(perms);
+  if ( level < 1 ) {
+    return callback(error.validationError("Invalid permission level: " + perms));
+  }
+  if ( level <= methods.PERMS.indexOf(client.perms) ) {
+    return callback(error.validationError("The Client already has " + client.perms + " permission"));
+  }
+
+  // Start a new auth flow with the new permission
+  _getFrob(client, function(err, frob) {
+    if ( err ) {
+      return callback(err);
+    }
+
+    // Remove the expired upgrades and keep the new one
+    let now = new Date().getTime();
+    for ( let pending in client._upgrades ) {
+      if ( client._upgrades.hasOwnProperty(pending) && client._upgrades[pending].expires <= now ) {
+        delete client._upgrades[pending];
+      }
+    }
+    client._upgrades[frob] = {perms: perms, expires: now + UPGRADE_TTL};
+
+    return callback(null, _buildAuthURL(frob, client, perms), frob);
+  });
+
+}
+
+
+
 // ==== HELPER FUNCTIONS ==== //
 
 
@@ -141,25 +210,29 @@ function _getFrob(client, callback) {
 
 /**
  * Build the Authentication URL to send to the User
- * @param {string} frob RTM Authentication Frob
+ * @param {string} [frob] RTM Authentication Frob (not used by the web-app auth flow)
  * @param {RTMClient} client RTM Client making the request
+ * @param {string} [perms] RTM API Access Permissions (default: the Client's permission)
  * @returns {string} RTM Auth URL
  * @private
  */
-function _buildAuthURL(frob, client) {
+function _buildAuthURL(frob, client, perms) {
 
   // Build Request Parameters
   let params = {};
   params.api_key = client.key;
-  params.perms = client.perms;
-  params.frob = frob;
+  params.perms = perms || client.perms;
+  if ( frob !== undefined ) {
+    params.frob = frob;
+  }
   params.api_sig = sign(params, client);
 
   // Form Query
   let query = _formQuery(params);
 
   // Build Auth URL
-  return scheme + '://' + base + '?' + query;
+  let config = client.config.api;
+  return config.scheme + '://' + config.url.auth + '?' + query;
 
 }
 
@@ -183,6 +256,8 @@ function _formQuery(params) {
 
 module.exports = {
   getAuthUrl: getAuthUrl,
+  getWebAuthUrl: getWebAuthUrl,
   getAuthToken: getAuthToken,
-  verifyAuthToken: verifyAuthToken
+  verifyAuthToken: verifyAuthToken,
+  upgrade: upgrade
 };
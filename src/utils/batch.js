@@ -0,0 +1,207 @@
+'use strict';
+
+const error = require('../response/error.js');
+
+/**
+ * ### Batch Operations
+ *
+ * This module runs a batch of operations (calls to the {@link RTMUser}
+ * wrapper functions, such as `tasks.complete` or `tasks.addTags`) for a
+ * User, with a limited number of operations in progress at once.  Each
+ * request made by an operation still waits in the User's
+ * {@link RTMRateLimiter} queue for the next available request slot.
+ *
+ * An operation is either:
+ * - an object with the name of the wrapper function to `call` (such as
+ * `tasks.complete`, `lists.add` or `get`) and its `args` (without the callback)
+ * - a function(user, callback) that calls the callback when it is complete
+ *
+ * An invalid operation is reported as a failed operation with a Validation
+ * Error (`-9`).
+ * @module utils/batch
+ * @private
+ */
+
+
+/**
+ * Result Status of an operation
+ * @type {{OK: string, ERROR: string, SKIPPED: string}}
+ * @private
+ */
+const STATUS = {
+  OK: 'ok',
+  ERROR: 'error',
+  SKIPPED: 'skipped'
+};
+
+
+/**
+ * Run the batch of operations for the User
+ * @param {RTMUser} user The RTM User
+ * @param {Array<Object|function>} ops Batch Operations
+ * @param {object} [options] Batch Options
+ * @param {number} [options.concurrency=3] Maximum number of operations in progress at once
+ * @param {boolean} [options.stopOnError=false] Stop starting new operations after the first failed operation
+ * @param {function} [options.onProgress] Function(progress) called when each operation is complete
+ * @param {function} callback Callback function(err, report)
+ * @private
+ */
+function run(user, ops, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+  if ( !Array.isArray(ops) ) {
+    throw "Batch operations must be an array";
+  }
+
+  let concurrency = Math.max(1, options.concurrency || 3);
+  let results = ops.map(function(op, index) {
+    return {index: index, status: STATUS.SKIPPED};
+  });
+  let next = 0;
+  let running = 0;
+  let completed = 0;
+  let stopped = false;
+  let returned = false;
+
+  // Empty Batch
+  if ( ops.length === 0 ) {
+    return callback(null, _report(results));
+  }
+
+  _start();
+
+
+  /**
+   * Start the next operations, up to the concurrency limit
+   * @private
+   */
+  function _start() {
+    while ( !stopped && running < concurrency && next < ops.length ) {
+      _op(next++);
+    }
+    if ( running === 0 && !returned ) {
+      returned = true;
+      return callback(null, _report(results));
+    }
+  }
+
+  /**
+   * Run the operation
+   * @param {number} index Operation index
+   * @private
+   */
+  function _op(index) {
+    running++;
+    let done = false;
+    let finish = function(err, result) {
+      if ( done ) {
+        return;
+      }
+      done = true;
+      running--;
+      completed++;
+
+      // Save the result
+      if ( err ) {
+        results[index] = {index: index, status: STATUS.ERROR, err: err};
+        if ( options.stopOnError ) {
+          stopped = true;
+        }
+      }
+      else {
+        results[index] = {index: index, status: STATUS.OK, result: result};
+      }
+
+      // Report the progress (and start the next operations, even if it throws)
+      try {
+        if ( typeof options.onProgress === 'function' ) {
+          options.onProgress({
+            index: index,
+            status: results[index].status,
+            err: results[index].err,
+            result: results[index].result,
+            completed: completed,
+            total: ops.length
+          });
+        }
+      }
+      finally {
+        _start();
+      }
+    };
+
+    // Call the operation (an operation that completes synchronously is
+    // finished outside of the try, so later exceptions are not caught here)
+    try {
+      _call(user, ops[index], function(err, result) {
+        process.nextTick(finish, err, result);
+      });
+    }
+    catch(exception) {
+      process.nextTick(finish, exception);
+    }
+  }
+}
+
+
+/**
+ * Call the operation's wrapper function (an invalid operation returns
+ * a Validation Error)
+ * @param {RTMUser} user The RTM User
+ * @param {Object|function} op Batch Operation
+ * @param {function} callback Callback function(err, result)
+ * @private
+ */
+function _call(user, op, callback) {
+  if ( typeof op === 'function' ) {
+    return op(user, callback);
+  }
+  if ( !op || typeof op.call !== 'string' ) {
+    return callback(error.validationError("Invalid batch operation: an operation must be a function or an object with a call property"));
+  }
+
+  // Find the wrapper function
+  let parts = op.call.split('.');
+  let name = parts.pop();
+  let obj = user;
+  for ( let i = 0; i < parts.length; i++ ) {
+    obj = obj ? obj[parts[i]] : undefined;
+  }
+  if ( !obj || typeof obj[name] !== 'function' ) {
+    return callback(error.validationError("Invalid batch operation: " + op.call + " is not a User function"));
+  }
+
+  // Call the wrapper function with the operation's arguments
+  let args = (op.args || []).slice();
+  args.push(callback);
+  return obj[name].apply(obj, args);
+}
+
+/**
+ * Build the report of the batch results
+ * @param {Object[]} results Operation Results
+ * @returns {{total: number, succeeded: number, failed: number, skipped: number, results: Object[]}}
+ * @private
+ */
+function _report(results) {
+  let count = function(status) {
+    return results.filter(function(result) {
+      return result.status === status;
+    }).length;
+  };
+  return {
+    total: results.length,
+    succeeded: count(STATUS.OK),
+    failed: count(STATUS.ERROR),
+    skipped: count(STATUS.SKIPPED),
+    results: results
+  };
+}
+
+
+module.exports = {
+  run: run
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+const log = require('./log.js');
+const methods = require('./methods.js');
+
+
+/**
+ * ### In-Flight Request Coalescing
+ *
+ * This module provides the middleware function used by an {@link RTMClient}
+ * (when its `coalesce` configuration property is set) to share a single API
+ * request between identical read requests that are in flight at the same time.
+ *
+ * A request for a read method that can be shared (its `coalesce` property in
+ * the method registry, see {@link module:utils/methods}) made while an identical
+ * request (same Client, User, method and parameters) is in flight does not
+ * make its own API request.  It waits for the in-flight request and returns
+ * the same result.  Write requests, requests for methods that return a new
+ * frob or timeline (`rtm.auth.*` and `rtm.timelines.create`), requests for
+ * methods that are not in the registry and requests with an `AbortSignal` or
+ * the `coalesce: false` request option are never coalesced.
+ * @module utils/coalesce
+ * @private
+ */
+
+
+// In-Flight Requests: the callbacks waiting for each request, by key
+let IN_FLIGHT = {};
+
+
+/**
+ * The request coalescing middleware function
+ * @param {RTMClient~MiddlewareContext} ctx Request Context
+ * @param {function} next Function to continue or short-circuit the pipeline
+ * @private
+ */
+function middleware(ctx, next) {
+
+  // Skip the methods that can not be shared and requests that can be cancelled
+  let definition = methods.get(ctx.method);
+  if ( !definition || !definition.coalesce || ctx.options.signal || ctx.options.coalesce === false ) {
+    return next();
+  }
+
+  // Wait for the identical in-flight request
+  let key = _key(ctx);
+  if ( IN_FLIGHT[key] !== undefined ) {
+    log.logger(ctx.client).debug({event: 'coalesce', method: ctx.method}, 'coalesced request');
+    return IN_FLIGHT[key].push(function(err, resp) {
+      return next(err, resp);
+    });
+  }
+
+  // Make the request and return its result to the waiting requests
+  IN_FLIGHT[key] = [];
+  return next(function(err, resp, done) {
+    let waiting = IN_FLIGHT[key];
+    delete IN_FLIGHT[key];
+
+    // Return the result to the waiting requests (even if the first request's callback throws)
+    waiting.forEach(function(callback) {
+      process.nextTick(callback, err, resp);
+    });
+    done(err, resp);
+  });
+
+}
+
+
+/**
+ * Get the key of the request's Client, User, method and parameters
+ * @param {RTMClient~MiddlewareContext} ctx Request Context
+ * @returns {string}
+ * @private
+ */
+function _key(ctx) {
+  let keys = Object.keys(ctx.params).sort();
+  let parts = [];
+  for ( let i = 0; i < keys.length; i++ ) {
+    parts.push(encodeURIComponent(keys[i]) + '=' + encodeURIComponent(ctx.params[keys[i]]));
+  }
+  let user = ctx.user ? ctx.user.id : '';
+  return ctx.client.key + ':' + user + ':' + ctx.method + '?' + parts.join('&');
+}
+
+
+module.exports = {
+  middleware: middleware
+};
@@ -0,0 +1,161 @@
+'use strict';
+
+// Default Configuration Properties
+const defaults = require('../../config');
+
+
+/**
+ * ### RTM Client Configuration
+ *
+ * This module builds the configuration used by an {@link RTMClient}.  The
+ * configuration properties are set from (in order of increasing priority):
+ * - the default properties in the `config.js` file
+ * - the environment variables listed in {@link ENV}
+ * - the options passed to the `RTMClient` constructor
+ * @module utils/config
+ * @private
+ */
+
+
+/**
+ * Environment Variables that override the default configuration properties.
+ *
+ * Each environment variable is mapped to the path of the configuration
+ * property and the type of its value.
+ * @type {Object}
+ * @private
+ */
+const ENV = {
+  RTM_API_SCHEME: ['api.scheme', 'string'],
+  RTM_API_AUTH_URL: ['api.url.auth', 'string'],
+  RTM_API_BASE_URL: ['api.url.base', 'string'],
+  RTM_API_VERSION: ['api.version', 'number'],
+  RTM_API_FORMAT: ['api.format', 'string'],
+  RTM_RATE_BURSTS: ['api.rate.bursts', 'number'],
+  RTM_RATE_BURST_TIMEOUT: ['api.rate.burstTimeout', 'number'],
+  RTM_RATE_BURST_WAIT: ['api.rate.burstWait', 'number'],
+  RTM_RATE_TIMEOUT: ['api.rate.timeout', 'number'],
+  RTM_RATE_STORE: ['api.rate.store', 'string'],
+  RTM_RATE_DIR: ['api.rate.dir', 'string'],
+  RTM_RETRY_ATTEMPTS: ['retry.attempts', 'number'],
+  RTM_TIMEOUT: ['timeout', 'number'],
+  RTM_POST_THRESHOLD: ['post.threshold', 'number'],
+  RTM_CACHE: ['cache.enabled', 'boolean'],
+  RTM_CACHE_STORE: ['cache.store', 'string'],
+  RTM_CACHE_DIR: ['cache.dir', 'string'],
+  RTM_COALESCE: ['coalesce', 'boolean'],
+  RTM_DEBUG: ['debug', 'boolean'],
+  RTM_TRANSPORT: ['transport', 'string'],
+  RTM_PROXY: ['proxy.url', 'string'],
+  RTM_NO_PROXY: ['proxy.noProxy', 'string'],
+  RTM_CASSETTE_MODE: ['cassette.mode', 'string'],
+  RTM_CASSETTE_FILE: ['cassette.file', 'string'],
+  RTM_AGENT_KEEP_ALIVE: ['agent.keepAlive', 'boolean'],
+  RTM_AGENT_MAX_SOCKETS: ['agent.maxSockets', 'number'],
+  RTM_AGENT_MAX_FREE_SOCKETS: ['agent.maxFreeSockets', 'number'],
+  RTM_AGENT_TIMEOUT: ['agent.timeout', 'number'],
+  RTM_INDEX_CACHE: ['task_id_cache_file', 'string']
+};
+
+
+/**
+ * Build the configuration properties for an RTM Client
+ * @param {object} [options={}] RTM Client configuration options
+ * @returns {object} configuration properties
+ * @private
+ */
+function build(options) {
+  let rtn = _merge({}, defaults);
+  _merge(rtn, _env());
+  _merge(rtn, options || {});
+  return rtn;
+}
+
+
+/**
+ * Get the configuration properties set by environment variables
+ * @returns {object}
+ * @private
+ */
+function _env() {
+  let rtn = {};
+  for ( let name in ENV ) {
+    if ( ENV.hasOwnProperty(name) && process.env[name] !== undefined && process.env[name] !== '' ) {
+      let path = ENV[name][0].split('.');
+      let value = _parse(process.env[name], ENV[name][1]);
+
+      let object = rtn;
+      for ( let i = 0; i < path.length - 1; i++ ) {
+        if ( object[path[i]] === undefined ) {
+          object[path[i]] = {};
+        }
+        object = object[path[i]];
+      }
+      object[path[path.length - 1]] = value;
+    }
+  }
+  return rtn;
+}
+
+
+/**
+ * Parse the environment variable value as the specified type
+ * @param {string} value Environment variable value
+ * @param {string} type Value type (`string`, `number` or `boolean`)
+ * @returns {string|number|boolean}
+ * @private
+ */
+function _parse(value, type) {
+  if ( type === 'number' ) {
+    return parseFloat(value);
+  }
+  else if ( type === 'boolean' ) {
+    return ['1', 'true', 'yes', 'on'].indexOf(value.toLowerCase()) > -1;
+  }
+  return value;
+}
+
+
+/**
+ * Merge the properties of the source object into the target object.
+ *
+ * Plain objects are merged recursively, all other values (including arrays
+ * and functions) are copied by reference.
+ * @param {object} target Object to merge the properties into
+ * @param {object} source Object with properties to merge
+ * @returns {object} the target object
+ * @private
+ */
+function _merge(target, source) {
+  for ( let key in source ) {
+    if ( source.hasOwnProperty(key) && source[key] !== undefined ) {
+      if ( _isPlainObject(source[key]) ) {
+        if ( !_isPlainObject(target[key]) ) {
+          target[key] = {};
+        }
+        _merge(target[key], source[key]);
+      }
+      else {
+        target[key] = source[key];
+      }
+    }
+  }
+  return target;
+}
+
+
+/**
+ * Check if the value is a plain object
+ * @param {*} value Value to check
+ * @returns {boolean}
+ * @private
+ */
+function _isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+
+module.exports = {
+  build: build,
+  ENV: ENV
+};
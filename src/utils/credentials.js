@@ -0,0 +1,301 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+
+/**
+ * ### Encrypted Credential Store
+ *
+ * This module reads and writes the encrypted credential files used by the
+ * {@link RTMClient~user/save|RTMClient.user.save} and
+ * {@link RTMClient~user/load|RTMClient.user.load} functions.
+ *
+ * A credential file contains one or more named profiles, each with the
+ * exported properties of an {@link RTMUser} (including its auth token and
+ * the Client's API Key and Secret).  The profiles are encrypted with
+ * AES-256-GCM using a key derived from a passphrase with scrypt (the salt
+ * and scrypt parameters are saved in the file).  The file's format and
+ * version and the profile name are authenticated with each profile, so a
+ * modified file or a wrong passphrase is detected before the profile is used.
+ *
+ * The changes to a credential file (read, modify and write) made by this
+ * process are run one at a time, in order, with {@link lock}.
+ *
+ * File Format (version 1):
+ * ```
+ * {
+ *   "format": "rtm-api-credentials",
+ *   "version": 1,
+ *   "kdf": {"name": "scrypt", "salt": "<base64>", "N": 16384, "r": 8, "p": 1, "keylen": 32},
+ *   "cipher": "aes-256-gcm",
+ *   "profiles": {
+ *     "<name>": {"iv": "<base64>", "tag": "<base64>", "data": "<base64>"}
+ *   }
+ * }
+ * ```
+ * @module utils/credentials
+ * @private
+ */
+
+
+/**
+ * Credential File Format name
+ * @type {string}
+ * @private
+ */
+const FORMAT = 'rtm-api-credentials';
+
+/**
+ * Credential File Format version
+ * @type {number}
+ * @private
+ */
+const VERSION = 1;
+
+/**
+ * Profile Cipher
+ * @type {string}
+ * @private
+ */
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Default scrypt key derivation parameters
+ * @type {Object}
+ * @private
+ */
+const KDF = {
+  name: 'scrypt',
+  N: 16384,
+  r: 8,
+  p: 1,
+  keylen: 32
+};
+
+/**
+ * Queued changes to each credential file, by resolved file path
+ * @type {Object}
+ * @private
+ */
+let QUEUES = {};
+
+
+/**
+ * Read the credential file
+ * @param {string} file Path to the credential file
+ * @param {function} callback Callback function(err, store) where store is `undefined`
+ * if the file does not exist
+ * @private
+ */
+function read(file, callback) {
+  fs.readFile(file, 'utf8', function(err, contents) {
+    if ( err ) {
+      return err.code === 'ENOENT' ? callback(null, undefined) : callback(err);
+    }
+    let store = undefined;
+    try {
+      store = JSON.parse(contents);
+    }
+    catch(exception) {
+      return callback("Invalid credential file: " + file);
+    }
+    if ( !store || store.format !== FORMAT || !store.kdf || typeof store.profiles !== 'object' ) {
+      return callback("Invalid credential file: " + file);
+    }
+    if ( store.version !== VERSION ) {
+      return callback("Unsupported credential file version: " + store.version);
+    }
+    return callback(null, store);
+  });
+}
+
+/**
+ * Write the credential file (readable only by the current user)
+ * @param {string} file Path to the credential file
+ * @param {Object} store Credential Store
+ * @param {function} callback Callback function(err)
+ * @private
+ */
+function write(file, store, callback) {
+  let tmp = file + '.' + process.pid + '.' + crypto.randomBytes(6).toString('hex') + '.tmp';
+  fs.mkdir(path.dirname(file), {recursive: true}, function(err) {
+    if ( err ) {
+      return callback(err);
+    }
+    fs.writeFile(tmp, JSON.stringify(store, null, 2), {mode: 0o600}, function(err) {
+      if ( err ) {
+        return callback(err);
+      }
+      fs.rename(tmp, file, function(err) {
+        if ( err ) {
+          return fs.unlink(tmp, function() {
+            return callback(err);
+          });
+        }
+        return callback(null);
+      });
+    });
+  });
+}
+
+/**
+ * Run a change to the credential file once the previous changes to the
+ * same file are complete
+ * @param {string} file Path to the credential file
+ * @param {function} fn Function(done) that makes the change and calls done(err, ...) when it is complete
+ * @param {function} callback Callback function(err, ...) called with the arguments given to done
+ * @private
+ */
+function lock(file, fn, callback) {
+  let key = path.resolve(file);
+  let queue = QUEUES[key] = QUEUES[key] || [];
+  queue.push(_run);
+  if ( queue.length === 1 ) {
+    _run();
+  }
+
+  /**
+   * Make the change and start the next queued change when it is complete
+   * @private
+   */
+  function _run() {
+    let released = false;
+    let done = function() {
+      if ( released ) {
+        return;
+      }
+      released = true;
+      queue.shift();
+      if ( queue.length > 0 ) {
+        queue[0]();
+      }
+      else if ( QUEUES[key] === queue ) {
+        delete QUEUES[key];
+      }
+      return callback.apply(undefined, arguments);
+    };
+    try {
+      fn(done);
+    }
+    catch(exception) {
+      done(exception);
+    }
+  }
+}
+
+/**
+ * Create a new (empty) Credential Store, with a new salt
+ * @returns {Object}
+ * @private
+ */
+function create() {
+  return {
+    format: FORMAT,
+    version: VERSION,
+    kdf: Object.assign({}, KDF, {salt: crypto.randomBytes(16).toString('base64')}),
+    cipher: CIPHER,
+    profiles: {}
+  };
+}
+
+/**
+ * Derive the encryption key of the Credential Store from the passphrase
+ * @param {Object} store Credential Store
+ * @param {string} passphrase Passphrase
+ * @param {function} callback Callback function(err, key)
+ * @private
+ */
+function key(store, passphrase, callback) {
+  if ( typeof passphrase !== 'string' || passphrase === '' ) {
+    return callback("A passphrase is required");
+  }
+  let kdf = store.kdf;
+  if ( kdf.name !== 'scrypt' ) {
+    return callback("Unsupported key derivation function: " + kdf.name);
+  }
+  let options = {N: kdf.N, r: kdf.r, p: kdf.p, maxmem: 256 * kdf.N * kdf.r};
+  crypto.scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), kdf.keylen, options, callback);
+}
+
+/**
+ * Encrypt the profile's properties
+ * @param {Buffer} key Encryption Key
+ * @param {string} name Profile name
+ * @param {Object} props Profile properties
+ * @returns {{iv: string, tag: string, data: string}} Encrypted profile
+ * @private
+ */
+function seal(key, name, props) {
+  let iv = crypto.randomBytes(12);
+  let cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(_aad(name));
+  let data = Buffer.concat([cipher.update(JSON.stringify(props), 'utf8'), cipher.final()]);
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt and verify the profile's properties
+ * @param {Buffer} key Encryption Key
+ * @param {string} name Profile name
+ * @param {{iv: string, tag: string, data: string}} profile Encrypted profile
+ * @returns {Object} Profile properties
+ * @throws {string} If the passphrase is wrong or the profile has been modified
+ * @private
+ */
+function open(key, name, profile) {
+  try {
+    let decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(profile.iv, 'base64'));
+    decipher.setAAD(_aad(name));
+    decipher.setAuthTag(Buffer.from(profile.tag, 'base64'));
+    let data = Buffer.concat([decipher.update(Buffer.from(profile.data, 'base64')), decipher.final()]);
+    return JSON.parse(data.toString('utf8'));
+  }
+  catch(exception) {
+    throw "Could not decrypt profile " + name + ": the passphrase is wrong or the credential file has been modified";
+  }
+}
+
+/**
+ * Verify the passphrase's key with each of the Credential Store's profiles
+ * @param {Buffer} key Encryption Key
+ * @param {Object} store Credential Store
+ * @throws {string} If the passphrase is wrong or a profile has been modified
+ * @private
+ */
+function verify(key, store) {
+  for ( let name in store.profiles ) {
+    if ( store.profiles.hasOwnProperty(name) ) {
+      open(key, name, store.profiles[name]);
+    }
+  }
+}
+
+
+/**
+ * Get the additional authenticated data of the profile: the file format,
+ * version and profile name
+ * @param {string} name Profile name
+ * @returns {Buffer}
+ * @private
+ */
+function _aad(name) {
+  return Buffer.from(FORMAT + ':' + VERSION + ':' + name, 'utf8');
+}
+
+
+module.exports = {
+  read: read,
+  write: write,
+  lock: lock,
+  create: create,
+  key: key,
+  seal: seal,
+  open: open,
+  verify: verify
+};
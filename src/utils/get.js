@@ -1,121 +1,499 @@
 'use strict';
 
-const URL = require('url');
-
 const parse = require('../response/parse.js');
 const error = require('../response/error.js');
 const RTMClient = require('../client/index.js');
 const RTMUser = require('../user/index.js');
 const sign = require('./sign.js');
+const transports = require('../transport/index.js');
+const retry = require('./retry.js');
+const middleware = require('./middleware.js');
+const log = require('./log.js');
+const cache = require('../cache/index.js');
+const coalesce = require('./coalesce.js');
+const methods = require('./methods.js');
+const transactions = require('./transactions.js');
+
+
+/**
+ * RTM Error Code returned for an invalid timeline
+ * @type {number}
+ * @private
+ */
+const INVALID_TIMELINE = 300;
 
-// API Configuration Properties
-const config = require('../../config');
-const scheme = config.api.scheme;
-const base = config.api.url.base;
-const format = config.api.format;
-const version = config.api.version;
+/**
+ * RTM API Method used to undo a transaction (which must use the
+ * transaction's timeline)
+ * @type {string}
+ * @private
+ */
+const UNDO_METHOD = 'rtm.transactions.undo';
 
 
 /**
  * Make the specified RTM API call.
+ *
+ * The Client's permission and the request parameters are first checked
+ * against the RTM API method registry (see {@link module:utils/methods}).
+ *
+ * A User's request for a method that requires a timeline uses the User's
+ * timeline when the `timeline` parameter is not set.  The timeline is created
+ * on demand (with `rtm.timelines.create`) before the User's first write request.
+ * When the RTM API rejects the User's timeline, a new timeline is created and
+ * the request is made again (once).  Concurrent requests wait for the same
+ * timeline instead of each creating their own.  A request with its own `timeline`
+ * parameter is never made again with a new timeline: an
+ * `rtm.transactions.undo` request with an expired timeline returns an Undo
+ * Error instead.  The transaction returned by a User's write
+ * request is added to the User's transaction history (see {@link module:utils/transactions}).
+ *
+ * The request is then run through the RTM Client's middleware pipeline
+ * (see {@link module:utils/middleware}), which can modify the request,
+ * modify or replace its result or return a result without making the request.
+ * Identical read requests that are in flight at the same time share a single
+ * API request (see {@link module:utils/coalesce}).
+ *
+ * Failed requests will be retried according to the retry policy of the
+ * RTM Client (or the `retry` request option).  Each attempt waits in the
+ * queue of the {@link RTMRateLimiter} for the next available request slot.
+ *
+ * When the request option `signal` is aborted, any waiting or in-progress
+ * attempt is cancelled and the callback returns an Abort Error.
  * @param {string} method RTM API Method
  * @param {object} [params={}] RTM Method Parameters (as an object with key/value pairs)
  * @param {RTMUser} [user=undefined] The RTM User making the request
  * @param {RTMClient} [client=undefined] The RTM Client making the request
+ * @param {object} [options={}] Request options
+ * @param {object|number|boolean} [options.retry] Request retry policy (overrides the Client's retry policy)
+ * @param {number} [options.timeout] Request timeout (ms) (overrides the Client's timeout)
+ * @param {AbortSignal} [options.signal] Signal used to cancel the request
+ * @param {boolean} [options.post] `true` to send the request as a POST request, `false` to send a GET request
+ * @param {boolean} [options.cache] `false` to skip the response cache
+ * @param {boolean} [options.coalesce] `false` to not share the request with identical in-flight requests
  * @param {function} callback Callback function(err, resp)
  * @private
  */
-function get(method, params, user, client, callback) {
+function get(method, params, user, client, options, callback) {
 
   // Parse the given arguments
-  let args = _parseGetArgs(method, params, user, client, callback);
+  let args = _parseGetArgs.apply(undefined, arguments);
+  args.params = Object.assign({}, args.params);
+
+  // Check the Client's permission for the RTM API method
+  let denied = methods.authorize(args.method, args.client);
+  if ( denied ) {
+    return args.callback(denied);
+  }
+
+  // Set the User's timeline (creating it, if necessary)
+  _timeline(args, false, function(err) {
+    if ( err ) {
+      return args.callback(err);
+    }
+    _run(args, false);
+  });
 
-  // Build the Request URL
-  let requestUrl = _buildRequestUrl(args.method, args.params, args.user, args.client);
+}
+
+
+/**
+ * Validate the request and run it through the Client's middleware pipeline
+ * @param {Object} args Parsed request arguments
+ * @param {boolean} renewed `true` if the request is made again with a new timeline
+ * @private
+ */
+function _run(args, renewed) {
 
-  // Parse the URL
-  let url = URL.parse(requestUrl);
+  // Validate the parameters of the RTM API method
+  let invalid = methods.validate(args.method, args.params);
+  if ( invalid ) {
+    return args.callback(invalid);
+  }
 
-  // Build the request options
-  let options = {
-    host: url.host,
-    path: url.path,
-    method: 'GET'
+  // Request Context
+  let ctx = {
+    method: args.method,
+    params: Object.assign({}, args.params),
+    user: args.user,
+    client: args.client,
+    options: args.options,
+    headers: {}
   };
 
-  // Determine timeout
-  let timeout = args.user ? args.user.requestTimeout : 0;
+  // Add the request coalescing and response cache to the end of the middleware pipeline
+  let pipeline = args.client.middleware;
+  if ( args.client.config.coalesce ) {
+    pipeline = pipeline.concat([coalesce.middleware]);
+  }
+  if ( args.client.config.cache.enabled ) {
+    pipeline = pipeline.concat([cache.middleware]);
+  }
 
-  // Make the Request
-  setTimeout(function() {
-    _makeRequest(scheme, options, args.callback);
-  }, timeout);
+  // Run the request through the middleware pipeline
+  middleware.run(pipeline, ctx, _get, function(err, resp) {
+
+    // Invalid Timeline of a transaction: it can no longer be undone
+    if ( err && err.code === INVALID_TIMELINE && args.method === UNDO_METHOD ) {
+      return args.callback(error.undoError(
+        "The timeline of transaction " + args.params.transaction_id + " has expired"
+      ));
+    }
+
+    // Invalid User Timeline: make the request again with a new timeline
+    if ( err && err.code === INVALID_TIMELINE && !renewed && args.user && args.userTimeline ) {
+      transactions.expire(args.user, args.params.timeline);
+      return _timeline(args, true, function(timelineErr) {
+        if ( timelineErr ) {
+          return args.callback(err);
+        }
+        _run(args, true);
+      });
+    }
+
+    // Add the write request's transaction to the User's history
+    if ( !err && args.user && resp && resp.transaction ) {
+      transactions.record(args.user, args.method, ctx.params.timeline, resp.transaction);
+    }
+
+    return args.callback(err, resp);
+  });
 
 }
 
+
 /**
- * Perform the API Request
- * @param {string} scheme HTTP(s) Scheme (http or https)
- * @param {object} options Request Options (host, path, method)
- * @param {function} callback Final callback function(err, resp)
+ * Set the `timeline` parameter of a User's request for a method that
+ * requires a timeline to the User's timeline.  The User's timeline is
+ * created when the User does not have one (or when `renew` is set and the
+ * request's timeline is still the User's timeline).  Concurrent requests
+ * share a single timeline creation (see {@link _newTimeline}).
+ * `args.userTimeline` is set when the request uses the User's timeline
+ * (and not a different `timeline` parameter set by the caller).
+ * @param {Object} args Parsed request arguments
+ * @param {boolean} renew `true` to create a new timeline for the User
+ * @param {function} callback Callback function(err)
  * @private
  */
-function _makeRequest(scheme, options, callback) {
-
-  // Require the http(s) module
-  let http = undefined;
-  if ( scheme === "https" ) {
-    http = require('https');
+function _timeline(args, renew, callback) {
+  let definition = methods.get(args.method);
+  if ( !args.user || !definition || !definition.timeline ) {
+    return callback();
+  }
+  if ( !renew && args.params.timeline !== undefined && parseFloat(args.params.timeline) !== args.user.timeline ) {
+    return callback();
   }
-  else {
-    http = require('http');
+  args.userTimeline = true;
+  if ( args.user.timeline !== undefined && (!renew || parseFloat(args.params.timeline) !== args.user.timeline) ) {
+    args.params.timeline = args.user.timeline;
+    return callback();
   }
 
-  // Make the Request
-  let req = http.request(options, function(response) {
-    let resp = '';
-    response.on('data', function(chunk) {
-      resp += chunk;
+  // Create a new timeline
+  _newTimeline(args.user, function(err, timeline) {
+    if ( err ) {
+      return callback(err);
+    }
+    args.params.timeline = timeline;
+    return callback();
+  });
+}
+
+/**
+ * Create a new timeline for the User.  A request made while the User's
+ * timeline is being created does not create its own timeline: it waits for
+ * the in-flight creation and uses the same timeline.  The shared creation
+ * is not cancelled by the `signal` of a single request.
+ * @param {RTMUser} user The RTM User
+ * @param {function} callback Callback function(err, timeline)
+ * @private
+ */
+function _newTimeline(user, callback) {
+
+  // Wait for the in-flight timeline creation
+  if ( user._timelineRequest !== undefined ) {
+    return user._timelineRequest.push(callback);
+  }
+
+  // Create the timeline and return it to the waiting requests
+  user._timelineRequest = [callback];
+  user.newTimeline(function(err, timeline) {
+    let waiting = user._timelineRequest;
+    user._timelineRequest = undefined;
+    waiting.forEach(function(callback) {
+      process.nextTick(callback, err, timeline);
     });
-    response.on('end', function() {
-      // Server Errors
-      if ( response.statusCode === 503 ) {
-        return callback(error.rateLimitError());
-      }
-      else if ( response.statusCode >= 500 && response.statusCode <= 599 ) {
-        return callback(error.serverError());
+  });
+}
+
+
+/**
+ * Make the API request of the request context (at the end of the
+ * middleware pipeline)
+ * @param {RTMClient~MiddlewareContext} args Request Context
+ * @param {function} callback Callback function(err, resp)
+ * @private
+ */
+function _get(args, callback) {
+
+  // Get the retry policy and request timeout
+  let policy = retry.policy(args.client, args.options, args.method, args.params);
+  let timeLimit = args.options.timeout !== undefined ? args.options.timeout : args.client.config.timeout;
+  let attempt = 0;
+
+  // Rate Limiter and Logger for the request
+  let limiter = args.user ? args.user.rateLimiter : args.client.rateLimiter;
+  let logger = log.logger(args.client);
+  let metrics = args.client.metrics;
+  metrics.call(args.method);
+
+  // Pending timer, queued request and in-progress request
+  let timer = undefined;
+  let queued = undefined;
+  let inProgress = undefined;
+  let returned = false;
+
+  // Listen for the abort signal
+  let signal = args.options.signal;
+  if ( signal ) {
+    if ( signal.aborted ) {
+      return _return(error.abortError());
+    }
+    signal.addEventListener('abort', _abort);
+  }
+
+  // Make the first attempt
+  _attempt(0);
+
+
+  /**
+   * Make an attempt of the request, after the specified delay
+   * @param {number} delay Time (ms) to wait before making the attempt
+   * @private
+   */
+  function _attempt(delay) {
+    timer = setTimeout(function() {
+      timer = undefined;
+      attempt++;
+
+      // Build the request
+      let params = _signParams(args.method, args.params, args.user, args.client);
+      let request = _buildRequest(params, args.client, args.options);
+      Object.assign(request.headers, args.headers);
+
+      // Wait for the next request slot
+      let wait = limiter.nextSlot;
+      if ( wait > 0 ) {
+        logger.debug({event: 'wait', method: args.method, attempt: attempt, wait: wait}, 'rate limit wait');
       }
+      let queuedAt = Date.now();
+      queued = limiter.acquire(function() {
+        queued = undefined;
+        let start = Date.now();
+        if ( start > queuedAt ) {
+          metrics.wait(args.method, start - queuedAt);
+        }
+        logger.debug({
+          event: 'request',
+          method: args.method,
+          attempt: attempt,
+          http: request.method,
+          params: log.redact(params)
+        }, 'request');
+
+        inProgress = _makeRequest(args.client.transport, request, timeLimit, function(err, resp, retryAfter, response) {
+          inProgress = undefined;
+          args.response = response;
+
+          // Log the response
+          let latency = Date.now() - start;
+          metrics.latency(args.method, latency);
+          let entry = {
+            event: 'response',
+            method: args.method,
+            attempt: attempt,
+            status: response ? response.status : undefined,
+            latency: latency,
+            code: err ? err.code : undefined
+          };
+          if ( err ) {
+            logger.warn(entry, 'response error');
+          }
+          else {
+            logger.debug(entry, 'response');
+          }
+
+          if ( returned ) {
+            return;
+          }
+
+          // Retry the Request
+          if ( err && retry.shouldRetry(policy, attempt, err) ) {
+            let wait = retry.delay(policy, attempt, retryAfter);
+            metrics.retry(args.method);
+            logger.warn({event: 'retry', method: args.method, attempt: attempt, code: err.code, wait: wait}, 'retry');
+
+            // Delay the next requests when rate limited
+            if ( err.code === error.rateLimitError().code ) {
+              limiter.block(wait);
+            }
+
+            return _attempt(wait);
+          }
+
+          return _return(err, resp);
+
+        });
+      });
+
+    }, delay);
+  }
 
-      // Parse the API Response
-      let parsed = parse(resp);
+  /**
+   * Cancel the pending or in-progress attempt
+   * @private
+   */
+  function _abort() {
+    let request = inProgress;
+    inProgress = undefined;
+    if ( timer !== undefined ) {
+      clearTimeout(timer);
+      timer = undefined;
+    }
+    if ( queued !== undefined ) {
+      queued.cancel();
+      queued = undefined;
+    }
+    _return(error.abortError());
+    if ( request !== undefined ) {
+      request.abort();
+    }
+  }
 
-      // Return parsed result as error or success
-      if ( !parsed.isOk ) {
-        return callback(parsed)
+  /**
+   * Return the final result to the callback (only once)
+   * @param {RTMError} err RTM Error, if encountered
+   * @param {RTMSuccess} [resp] RTM Success Response
+   * @private
+   */
+  function _return(err, resp) {
+    if ( !returned ) {
+      returned = true;
+      if ( signal ) {
+        signal.removeEventListener('abort', _abort);
       }
-      else {
-        return callback(null, parsed);
+      if ( err ) {
+        metrics.error(args.method, err.code);
       }
-    });
-  });
-  req.on('error', function() {
-    callback(error.networkError());
+      return callback(err, resp);
+    }
+  }
+
+}
+
+/**
+ * Perform the API Request
+ * @param {function} transport The transport used to send the request
+ * @param {RTMClient~TransportRequest} request The signed API request
+ * @param {number} timeLimit Request timeout (ms) or `0` for no timeout
+ * @param {function} callback Final callback function(err, resp, retryAfter, response)
+ * @returns {{abort: function}} Controller used to cancel the request
+ * @private
+ */
+function _makeRequest(transport, request, timeLimit, callback) {
+
+  // The transport's request is cancelled with an AbortSignal or, on Node
+  // versions without AbortController, with the request's abort function
+  // (set by the node transport)
+  let controller = typeof AbortController !== 'undefined' ? new AbortController() : undefined;
+  if ( controller ) {
+    request.signal = controller.signal;
+  }
+
+  // Only return once
+  let returned = false;
+  function done(err, resp, retryAfter, response) {
+    if ( !returned ) {
+      returned = true;
+      clearTimeout(timer);
+      return callback(err, resp, retryAfter, response);
+    }
+  }
+
+  // Set the request timeout
+  let timer = undefined;
+  if ( timeLimit > 0 ) {
+    timer = setTimeout(function() {
+      abort(error.timeoutError());
+    }, timeLimit);
+  }
+
+  /**
+   * Return the error and cancel the transport's request
+   * @param {RTMError} err Timeout or Abort Error
+   * @private
+   */
+  function abort(err) {
+    done(err);
+    if ( controller ) {
+      controller.abort();
+    }
+    else if ( typeof request.abort === 'function' ) {
+      request.abort();
+    }
+  }
+
+  // Send the Request
+  transports.send(transport, request, function(err, response) {
+
+    // Network Errors
+    if ( err ) {
+      return done(err instanceof error ? err : error.networkError());
+    }
+
+    // Server Errors
+    if ( response.status === 503 ) {
+      let headers = response.headers || {};
+      return done(error.rateLimitError(), undefined, retry.parseRetryAfter(headers['retry-after']), response);
+    }
+    else if ( response.status >= 500 && response.status <= 599 ) {
+      return done(error.serverError(), undefined, undefined, response);
+    }
+
+    // Parse the API Response
+    let parsed = parse(response.body);
+
+    // Return parsed result as error or success
+    if ( !parsed.isOk ) {
+      return done(parsed, undefined, undefined, response);
+    }
+    else {
+      return done(null, parsed, undefined, response);
+    }
+
   });
-  req.end();
 
+  return {
+    abort: function() {
+      abort(error.abortError());
+    }
+  };
 }
 
 
 /**
- * Parse the arguments given to the get() function
- * @returns {{method: *, params: *, user: *, client: *, callback: *}}
+ * Parse the arguments given to the get() function.
+ *
+ * The first plain object argument is used as the request parameters and
+ * the second plain object argument is used as the request options.
+ * @returns {{method: *, params: *, options: *, user: *, client: *, callback: *}}
  * @private
  */
 function _parseGetArgs() {
 
   // Parsed arguments to return
   let rtn = {};
-  rtn.params = {};
+  let objects = [];
 
   // Parse each of the arguments
   for ( let key in arguments ) {
@@ -135,12 +513,16 @@ function _parseGetArgs() {
           rtn.user = arg;
         }
         else {
-          rtn.params = arg;
+          objects.push(arg);
         }
       }
     }
   }
 
+  // Set params and options
+  rtn.params = objects.length > 0 ? objects[0] : {};
+  rtn.options = objects.length > 1 ? objects[1] : {};
+
   // Return the parsed arguments
   return rtn;
 
@@ -149,82 +531,114 @@ function _parseGetArgs() {
 
 
 /**
- * Build the API Request URL.
+ * Add the auth token, method, API key, version and format to the request
+ * parameters and sign them.
  *
- * This uses the properties in the `rtm.json` configuration file for the
- * URL scheme, base URL, format and version.  It will create a URL encoded
- * query string from the passed parameters and add a signature to the request.
+ * This uses the configuration properties of the RTM Client for the
+ * format and version.
  * @param {string} method RTM API Method
- * @param {Object} [params={}] Request Parameters
+ * @param {Object} params Request Parameters
  * @param {RTMUser} [user=undefined] The RTM User making the request
- * @param {RTMClient} [client=undefined] The RTM Client making the request
- * @returns {string} Signed Request URL
+ * @param {RTMClient} client The RTM Client making the request
+ * @returns {Object} Signed Request Parameters
  * @private
  */
-function _buildRequestUrl(method, params, user, client) {
-
-  // Parse the given arguments
-  let args = _parseBuildRequestUrlArgs(method, params, user, client);
+function _signParams(method, params, user, client) {
+  params = Object.assign({}, params);
 
   // Add User Auth Token, if provided
-  if ( args.user && args.user.authToken ) {
-    args.params.auth_token = args.user.authToken;
+  if ( user && user.authToken ) {
+    params.auth_token = user.authToken;
   }
 
   // Add method, api key, version and format to params
-  args.params.method = args.method;
-  args.params.api_key = args.client.key;
-  args.params.v = version;
-  args.params.format = format;
-  args.params.api_sig = sign(args.params, client);
-
-  // Generate query string from params
-  let query = _formQuery(args.params);
-
-  // Build the API request URL
-  return scheme + '://' + base + "?" + query;
+  let config = client.config.api;
+  params.method = method;
+  params.api_key = client.key;
+  params.v = config.version;
+
+  // The XML (REST) format is the RTM API's default format
+  if ( config.format !== 'xml' ) {
+    params.format = config.format;
+  }
+  params.api_sig = sign(params, client);
 
+  return params;
 }
 
 
 /**
- * Parse the arguments given to the _buildRequestUrl function
- * @returns {{method: *, params: *, user: *, client: *}}
+ * Build the API Request.
+ *
+ * This uses the configuration properties of the RTM Client for the
+ * URL scheme and base URL.  It will create a URL encoded query string
+ * from the signed parameters.
+ *
+ * The request is a `GET` request with the parameters in the URL's query
+ * string, unless the request should be sent as a `POST` request (see
+ * {@link _isPost}) with the parameters as a form-encoded body.
+ * @param {Object} params Signed Request Parameters
+ * @param {RTMClient} client The RTM Client making the request
+ * @param {Object} options Request Options
+ * @returns {RTMClient~TransportRequest} Signed Request
  * @private
  */
-function _parseBuildRequestUrlArgs() {
+function _buildRequest(params, client, options) {
+  let config = client.config.api;
 
-  // Parsed arguments to return
-  let rtn = {};
-  rtn.params = {};
+  // Generate query string from params
+  let query = _formQuery(params);
 
-  // Parse each of the arguments
-  for ( let key in arguments ) {
-    if ( arguments.hasOwnProperty(key) ) {
-      let arg = arguments[key];
-      if ( typeof arg === 'string' ) {
-        rtn.method = arg;
-      }
-      else if ( typeof arg === 'object' ) {
-        if ( arg.constructor.name === 'RTMClient' ) {
-          rtn.client = arg;
-        }
-        else if ( arg.constructor.name === 'RTMUser' ) {
-          rtn.user = arg;
-        }
-        else {
-          rtn.params = arg;
-        }
-      }
-    }
+  // Build the API request URL
+  let url = config.scheme + '://' + config.url.base;
+
+  // Build a POST Request
+  if ( _isPost(params.method, url.length + 1 + query.length, client.config.post, options) ) {
+    return {
+      method: 'POST',
+      url: url,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: query
+    };
   }
 
-  // Return the parsed arguments
-  return rtn;
+  // Build a GET Request
+  return {
+    method: 'GET',
+    url: url + "?" + query,
+    headers: {}
+  };
 
 }
 
 
+/**
+ * Check if the request should be sent as a `POST` request.  A request is sent
+ * as a `POST` request when:
+ * - the `post` request option is `true` (or `false` to force a `GET` request)
+ * - the method is listed in the Client's `post.methods` configuration property
+ * - the length of the `GET` request URL would be longer than the Client's
+ * `post.threshold` configuration property
+ * @param {string} method RTM API Method
+ * @param {number} length Length of the `GET` request URL
+ * @param {{threshold: number, methods: string[]}} config Client's `post` configuration properties
+ * @param {Object} options Request Options
+ * @returns {boolean}
+ * @private
+ */
+function _isPost(method, length, config, options) {
+  if ( options.post !== undefined ) {
+    return options.post === true;
+  }
+  if ( config.methods && config.methods.indexOf(method) > -1 ) {
+    return true;
+  }
+  return config.threshold > 0 && length > config.threshold;
+}
+
+
 /**
  * Generate a URI Encoded query string from the parameters set of
  * key/value pairs
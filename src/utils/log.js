@@ -0,0 +1,130 @@
+'use strict';
+
+
+/**
+ * ### Request Debug Logging
+ *
+ * This module provides the logger used to log the details of the API requests
+ * made by an {@link RTMClient}.  Logging is enabled by the Client's `debug`
+ * configuration property (or the `RTM_DEBUG` environment variable) or by
+ * setting the Client's `logger` option.
+ *
+ * Each log entry is an object with an `event` property (`request`, `response`,
+ * `retry` or `wait`) and the details of the event.  The entries are given to the
+ * `debug` (or `warn`, for failed requests) function of the logger as
+ * `(entry, message)`, which is the call signature used by loggers such as `pino`.
+ * Without a `logger`, the entries are printed to `stderr`.
+ *
+ * The values of the parameters in {@link REDACTED} are never logged.
+ * @module utils/log
+ * @private
+ */
+
+
+/**
+ * Request parameters whose values are replaced in the log entries
+ * @type {string[]}
+ * @private
+ */
+const REDACTED = ['auth_token', 'api_key', 'api_sig', 'api_secret', 'frob'];
+
+
+/**
+ * Logger used when logging is enabled without a custom logger
+ * @private
+ */
+const CONSOLE = {
+  debug: function(entry, message) {
+    console.error('[rtm-api] DEBUG ' + message + _format(entry));
+  },
+  warn: function(entry, message) {
+    console.error('[rtm-api] WARN ' + message + _format(entry));
+  }
+};
+
+
+/**
+ * Logger used when logging is disabled
+ * @private
+ */
+const NONE = {
+  debug: function() {},
+  warn: function() {}
+};
+
+
+/**
+ * Get the logger for the requests of the RTM Client
+ * @param {RTMClient} client The RTM Client making the requests
+ * @returns {{debug: function, warn: function}}
+ * @private
+ */
+function logger(client) {
+  let config = client.config;
+  if ( config.logger ) {
+    return {
+      debug: _level(config.logger, 'debug'),
+      warn: _level(config.logger, 'warn')
+    };
+  }
+  return config.debug ? CONSOLE : NONE;
+}
+
+
+/**
+ * Get a copy of the request parameters with the values of the secret
+ * parameters replaced
+ * @param {Object} params Request Parameters
+ * @returns {Object} Redacted Request Parameters
+ * @private
+ */
+function redact(params) {
+  let rtn = {};
+  for ( let key in params ) {
+    if ( params.hasOwnProperty(key) ) {
+      rtn[key] = REDACTED.indexOf(key) > -1 ? '[REDACTED]' : params[key];
+    }
+  }
+  return rtn;
+}
+
+
+/**
+ * Get the logging function of the custom logger for the specified level.
+ * Loggers without the level function use their `info` or `log` function.
+ * @param {Object} logger Custom Logger
+ * @param {string} level Log Level
+ * @returns {function} function(entry, message)
+ * @private
+ */
+function _level(logger, level) {
+  let fn = logger[level] || logger.info || logger.log;
+  return function(entry, message) {
+    fn.call(logger, entry, message);
+  };
+}
+
+
+/**
+ * Format the log entry as space-separated key=value pairs
+ * @param {Object} entry Log Entry
+ * @returns {string}
+ * @private
+ */
+function _format(entry) {
+  let rtn = '';
+  for ( let key in entry ) {
+    if ( entry.hasOwnProperty(key) && entry[key] !== undefined ) {
+      let value = entry[key];
+      rtn += ' ' + key + '=' + (typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  }
+  return rtn;
+}
+
+
+module.exports = {
+  logger: logger,
+  redact: redact,
+  REDACTED: REDACTED
+};
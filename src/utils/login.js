@@ -0,0 +1,242 @@
+'use strict';
+
+const http = require('http');
+const URL = require('url');
+const childProcess = require('child_process');
+const auth = require('./auth.js');
+const error = require('../response/error.js');
+
+
+/**
+ * ### Login Flow
+ *
+ * This module runs the complete RTM auth flow for an {@link RTMClient}: it
+ * gets an Auth URL, gives it to the `open` function (by default, the User's
+ * web browser is opened) and waits until the User has authorized the Client.
+ * The User is then returned with an Auth Token and a timeline.
+ *
+ * The login flow can wait for the authorization in one of two modes:
+ * - `poll`: (desktop apps) the frob of the Auth URL is exchanged for an Auth
+ * Token with `rtm.auth.getToken` until the User has authorized it, waiting
+ * longer between each attempt
+ * - `callback`: (web apps) a short-lived local HTTP server is started to
+ * receive the frob from the RTM web-app callback (the API Key's callback URL
+ * must be set to the local server's URL, so the server's `port` is required).
+ * Only the first callback is accepted: its frob is exchanged for the Auth
+ * Token and any later requests to the server are rejected.
+ * @module utils/login
+ * @private
+ */
+
+
+/**
+ * Default Login Options
+ * @type {Object}
+ * @private
+ */
+const DEFAULTS = {
+  mode: 'poll',
+  timeout: 300000,
+  interval: 2000,
+  maxInterval: 10000,
+  factor: 1.5,
+  host: '127.0.0.1',
+  path: '/'
+};
+
+/**
+ * RTM Error Code returned by `rtm.auth.getToken` for a frob that has not
+ * been authorized (yet)
+ * @type {number}
+ * @private
+ */
+const INVALID_FROB = 101;
+
+
+/**
+ * Log in the User
+ * @param {RTMClient} client RTM Client making the request
+ * @param {object} [options] Login Options
+ * @param {string} [options.mode=poll] Login mode (`poll` or `callback`)
+ * @param {number} [options.timeout=300000] Time (ms) to wait for the User to authorize the Client
+ * @param {function} [options.open] Function(authUrl) used to give the Auth URL to the User
+ * @param {AbortSignal} [options.signal] Signal used to cancel the login
+ * @param {number} [options.interval=2000] `poll` mode: initial time (ms) between attempts
+ * @param {number} [options.maxInterval=10000] `poll` mode: maximum time (ms) between attempts
+ * @param {number} [options.factor=1.5] `poll` mode: factor the time between attempts increases by
+ * @param {string} [options.host=127.0.0.1] `callback` mode: host of the local server
+ * @param {number} [options.port] `callback` mode: port of the local server (required)
+ * @param {string} [options.path=/] `callback` mode: path of the callback URL
+ * @param {function} callback Callback function(err, user)
+ * @private
+ */
+function login(client, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+  options = Object.assign({}, DEFAULTS, options);
+  if ( options.mode !== 'poll' && options.mode !== 'callback' ) {
+    throw "Unknown login mode: " + options.mode;
+  }
+  if ( options.mode === 'callback' && !options.port ) {
+    throw "The port of the API Key's callback URL is required in callback mode";
+  }
+  let open = typeof options.open === 'function' ? options.open : _openBrowser;
+
+  // Pending poll timer and callback server
+  let timer = undefined;
+  let server = undefined;
+  let returned = false;
+
+  // Login Timeout
+  let timeout = setTimeout(function() {
+    return _return(error.loginTimeoutError());
+  }, options.timeout);
+
+  // Listen for the abort signal
+  let signal = options.signal;
+  if ( signal ) {
+    if ( signal.aborted ) {
+      return _return(error.abortError());
+    }
+    signal.addEventListener('abort', _abort);
+  }
+
+  if ( options.mode === 'poll' ) {
+    _poll();
+  }
+  else {
+    _callback();
+  }
+
+
+  /**
+   * Poll Mode: get an Auth URL and wait for its frob to be authorized
+   * @private
+   */
+  function _poll() {
+    auth.getAuthUrl(client, function(err, authUrl, frob) {
+      if ( err ) {
+        return _return(err);
+      }
+      _open(authUrl);
+
+      let interval = options.interval;
+      let attempt = function() {
+        timer = undefined;
+        auth.getAuthToken(frob, client, function(err, user) {
+          if ( returned ) {
+            return;
+          }
+          if ( err && err.code === INVALID_FROB ) {
+            interval = Math.min(interval * options.factor, options.maxInterval);
+            timer = setTimeout(attempt, interval);
+            return;
+          }
+          return _return(err, user);
+        });
+      };
+      timer = setTimeout(attempt, interval);
+    });
+  }
+
+  /**
+   * Callback Mode: start the local server and wait for the callback
+   * with the authorized frob
+   * @private
+   */
+  function _callback() {
+    let received = false;
+    server = http.createServer(function(req, res) {
+      let url = URL.parse(req.url, true);
+      let frob = url.query.frob;
+      if ( received || returned || url.pathname !== options.path || typeof frob !== 'string' || frob === '' ) {
+        res.statusCode = 404;
+        return res.end();
+      }
+      received = true;
+      res.setHeader('Content-Type', 'text/html');
+      res.end('<html><body>rtm-api has been authorized.  You can close this window.</body></html>');
+
+      // Get the Auth Token for the frob
+      auth.getAuthToken(frob, client, function(err, user) {
+        return _return(err, user);
+      });
+    });
+    server.on('error', function(err) {
+      return _return(err);
+    });
+    server.listen(options.port, options.host, function() {
+      _open(auth.getWebAuthUrl(client));
+    });
+  }
+
+  /**
+   * Give the Auth URL to the User
+   * @param {string} authUrl Auth URL
+   * @private
+   */
+  function _open(authUrl) {
+    if ( returned ) {
+      return;
+    }
+    try {
+      open(authUrl);
+    }
+    catch(exception) {
+      return _return(exception);
+    }
+  }
+
+  /**
+   * Cancel the login when the signal is aborted
+   * @private
+   */
+  function _abort() {
+    return _return(error.abortError());
+  }
+
+  /**
+   * Stop the login and return the result (only once)
+   * @param {RTMError} err RTM Error, if encountered
+   * @param {RTMUser} [user] The authorized RTM User
+   * @private
+   */
+  function _return(err, user) {
+    if ( returned ) {
+      return;
+    }
+    returned = true;
+    clearTimeout(timeout);
+    if ( timer ) {
+      clearTimeout(timer);
+    }
+    if ( server ) {
+      server.close();
+    }
+    if ( signal ) {
+      signal.removeEventListener('abort', _abort);
+    }
+    return err ? callback(err) : callback(null, user);
+  }
+}
+
+
+/**
+ * Open the URL in the User's default web browser
+ * @param {string} url URL to open
+ * @private
+ */
+function _openBrowser(url) {
+  let command = process.platform === 'darwin' ? 'open' : process.platform === 'win32' ? 'cmd' : 'xdg-open';
+  let args = process.platform === 'win32' ? ['/c', 'start', '""', url.replace(/&/g, '^&')] : [url];
+  let child = childProcess.spawn(command, args, {detached: true, stdio: 'ignore'});
+  child.on('error', function() {
+    console.error("Open the following URL to authorize rtm-api: " + url);
+  });
+  child.unref();
+}
+
+
+module.exports = login;
@@ -0,0 +1,388 @@
+'use strict';
+
+const error = require('../response/error.js');
+
+
+/**
+ * ### RTM API Method Registry
+ *
+ * This module describes each of the RTM API methods: its required and
+ * optional parameters (and their types), if it requires a timeline, the
+ * minimum permission of the auth token, if it is a write method and if
+ * identical in-flight requests can share a single API request.
+ *
+ * The requests made by {@link RTMClient#get|RTMClient.get} and
+ * {@link RTMUser#get|RTMUser.get} are validated against the registry before
+ * they are signed and sent.  A request with a missing or invalid parameter
+ * returns a Validation Error (`-9`) instead of an RTM API error response.
+ * A request for a method that requires a higher permission than the Client's
+ * permission returns a Permission Error (`-10`).  Requests for methods that
+ * are not in the registry are not validated.
+ * @module utils/methods
+ * @private
+ */
+
+
+// ==== PARAMETER TYPES ==== //
+
+/**
+ * Parameter Types: the validation function and description of each type
+ * @type {Object}
+ * @private
+ */
+const TYPES = {
+  string: {
+    description: "a string",
+    valid: function(value) {
+      return typeof value === 'string' || typeof value === 'number' ||
+        (Array.isArray(value) && value.every(function(v) { return typeof v === 'string' || typeof v === 'number'; }));
+    }
+  },
+  id: {
+    description: "an ID number",
+    valid: function(value) {
+      return (typeof value === 'number' && Number.isInteger(value) && value >= 0) ||
+        (typeof value === 'string' && /^[0-9]+$/.test(value));
+    }
+  },
+  number: {
+    description: "a number",
+    valid: function(value) {
+      return value !== '' && !isNaN(value) && (typeof value === 'number' || typeof value === 'string');
+    }
+  },
+  boolean: {
+    description: "a boolean (0 or 1)",
+    valid: function(value) {
+      return [true, false, 0, 1, '0', '1'].indexOf(value) > -1;
+    }
+  },
+  priority: {
+    description: "a priority (1, 2, 3 or N)",
+    valid: function(value) {
+      return [0, 1, 2, 3, '0', '1', '2', '3', 'N', 'n', ''].indexOf(value) > -1;
+    }
+  },
+  direction: {
+    description: "a direction (up or down)",
+    valid: function(value) {
+      return value === 'up' || value === 'down';
+    }
+  }
+};
+
+
+// ==== PERMISSIONS ==== //
+
+/**
+ * Permission levels, in increasing order of access
+ * @type {string[]}
+ * @private
+ */
+const PERMS = ['none', 'read', 'write', 'delete'];
+
+
+// ==== METHOD DEFINITIONS ==== //
+
+/**
+ * Parameters that identify a Task
+ * @type {Object}
+ * @private
+ */
+const TASK = {
+  list_id: 'id',
+  taskseries_id: 'id',
+  task_id: 'id'
+};
+
+/**
+ * RTM API Methods, by method name.  Each method has the properties:
+ * - `perms`: the minimum permission of the auth token (`none`, `read`, `write` or `delete`)
+ * - `write`: `true` if the method modifies the User's data
+ * - `timeline`: `true` if the method requires a `timeline` parameter
+ * - `coalesce`: `true` if identical in-flight requests can share a single API
+ * request (see {@link module:utils/coalesce})
+ * - `required`: the required parameters and their types
+ * - `optional`: the optional parameters and their types
+ * @type {Object}
+ * @private
+ */
+const METHODS = {
+
+  // Auth
+  'rtm.auth.checkToken': _unshared(_read('none', {auth_token: 'string'})),
+  'rtm.auth.getFrob': _unshared(_read('none')),
+  'rtm.auth.getToken': _unshared(_read('none', {frob: 'string'})),
+
+  // Contacts
+  'rtm.contacts.add': _write('write', {contact: 'string'}),
+  'rtm.contacts.delete': _write('delete', {contact_id: 'id'}),
+  'rtm.contacts.getList': _read('read'),
+
+  // Groups
+  'rtm.groups.add': _write('write', {group: 'string'}),
+  'rtm.groups.addContact': _write('write', {group_id: 'id', contact_id: 'id'}),
+  'rtm.groups.delete': _write('delete', {group_id: 'id'}),
+  'rtm.groups.getList': _read('read'),
+  'rtm.groups.removeContact': _write('write', {group_id: 'id', contact_id: 'id'}),
+
+  // Lists
+  'rtm.lists.add': _write('write', {name: 'string'}, {filter: 'string', parent_id: 'id'}),
+  'rtm.lists.archive': _write('write', {list_id: 'id'}),
+  'rtm.lists.delete': _write('delete', {list_id: 'id'}),
+  'rtm.lists.getList': _read('read'),
+  'rtm.lists.setDefaultList': _write('write', {}, {list_id: 'id'}),
+  'rtm.lists.setName': _write('write', {list_id: 'id', name: 'string'}),
+  'rtm.lists.unarchive': _write('write', {list_id: 'id'}),
+
+  // Locations
+  'rtm.locations.getList': _read('read'),
+
+  // Push
+  'rtm.push.getSubscriptions': _read('read'),
+  'rtm.push.getTopics': _read('read'),
+  'rtm.push.subscribe': _write('read', {url: 'string', topics: 'string', push_format: 'string'}, {lease_seconds: 'number', filter: 'string'}),
+  'rtm.push.unsubscribe': _write('read', {subscription_id: 'id'}),
+
+  // Reflection
+  'rtm.reflection.getMethodInfo': _read('none', {method_name: 'string'}),
+  'rtm.reflection.getMethods': _read('none'),
+
+  // Settings and Tags
+  'rtm.settings.getList': _read('read'),
+  'rtm.tags.getList': _read('read'),
+
+  // Tasks
+  'rtm.tasks.add': _write('write', {name: 'string'}, {list_id: 'id', parse: 'boolean', parent_task_id: 'id', external_id: 'string'}),
+  'rtm.tasks.addTags': _task('write', {tags: 'string'}),
+  'rtm.tasks.complete': _task('write'),
+  'rtm.tasks.delete': _task('delete'),
+  'rtm.tasks.getList': _read('read', {}, {list_id: 'id', filter: 'string', last_sync: 'string'}),
+  'rtm.tasks.movePriority': _task('write', {direction: 'direction'}),
+  'rtm.tasks.moveTo': _write('write', {from_list_id: 'id', to_list_id: 'id', taskseries_id: 'id', task_id: 'id'}),
+  'rtm.tasks.postpone': _task('write'),
+  'rtm.tasks.removeTags': _task('write', {tags: 'string'}),
+  'rtm.tasks.setDueDate': _task('write', {}, {due: 'string', has_due_time: 'boolean', parse: 'boolean'}),
+  'rtm.tasks.setEstimate': _task('write', {}, {estimate: 'string'}),
+  'rtm.tasks.setLocation': _task('write', {}, {location_id: 'id'}),
+  'rtm.tasks.setName': _task('write', {name: 'string'}),
+  'rtm.tasks.setParentTask': _task('write', {}, {parent_task_id: 'id'}),
+  'rtm.tasks.setPriority': _task('write', {}, {priority: 'priority'}),
+  'rtm.tasks.setRecurrence': _task('write', {}, {repeat: 'string'}),
+  'rtm.tasks.setStartDate': _task('write', {}, {start: 'string', has_start_time: 'boolean', parse: 'boolean'}),
+  'rtm.tasks.setTags': _task('write', {}, {tags: 'string'}),
+  'rtm.tasks.setURL': _task('write', {}, {url: 'string'}),
+  'rtm.tasks.uncomplete': _task('write'),
+
+  // Task Notes
+  'rtm.tasks.notes.add': _task('write', {note_title: 'string', note_text: 'string'}),
+  'rtm.tasks.notes.delete': _write('delete', {note_id: 'id'}),
+  'rtm.tasks.notes.edit': _write('write', {note_id: 'id', note_title: 'string', note_text: 'string'}),
+
+  // Test
+  'rtm.test.echo': _read('none'),
+  'rtm.test.login': _read('read'),
+
+  // Time
+  'rtm.time.convert': _read('none', {to_timezone: 'string'}, {from_timezone: 'string', time: 'string'}),
+  'rtm.time.parse': _read('none', {text: 'string'}, {timezone: 'string', dateformat: 'boolean'}),
+
+  // Timelines, Timezones and Transactions
+  'rtm.timelines.create': _unshared(_read('read')),
+  'rtm.timezones.getList': _read('none'),
+  'rtm.transactions.undo': _write('write', {transaction_id: 'id'})
+
+};
+
+
+/**
+ * Define a read method
+ * @param {string} perms Minimum Permission
+ * @param {Object} [required] Required Parameters
+ * @param {Object} [optional] Optional Parameters
+ * @returns {Object}
+ * @private
+ */
+function _read(perms, required, optional) {
+  return {
+    perms: perms,
+    write: false,
+    timeline: false,
+    coalesce: true,
+    required: required || {},
+    optional: optional || {}
+  };
+}
+
+/**
+ * Define a write method (that requires a timeline)
+ * @param {string} perms Minimum Permission
+ * @param {Object} [required] Required Parameters
+ * @param {Object} [optional] Optional Parameters
+ * @returns {Object}
+ * @private
+ */
+function _write(perms, required, optional) {
+  return {
+    perms: perms,
+    write: true,
+    timeline: true,
+    coalesce: false,
+    required: Object.assign({timeline: 'id'}, required),
+    optional: optional || {}
+  };
+}
+
+/**
+ * Mark a read method as one whose identical in-flight requests must each
+ * make their own API request (such as a method that returns a new frob or
+ * timeline for each request)
+ * @param {Object} definition Method definition
+ * @returns {Object}
+ * @private
+ */
+function _unshared(definition) {
+  definition.coalesce = false;
+  return definition;
+}
+
+/**
+ * Define a write method of a Task (that requires the Task's list,
+ * task series and task IDs)
+ * @param {string} perms Minimum Permission
+ * @param {Object} [required] Required Parameters
+ * @param {Object} [optional] Optional Parameters
+ * @returns {Object}
+ * @private
+ */
+function _task(perms, required, optional) {
+  return _write(perms, Object.assign({}, TASK, required), optional);
+}
+
+
+// ==== VALIDATION ==== //
+
+/**
+ * Get the definition of the RTM API method
+ * @param {string} method RTM API Method
+ * @returns {Object|undefined} Method definition, if the method is in the registry
+ * @private
+ */
+function get(method) {
+  return METHODS.hasOwnProperty(method) ? METHODS[method] : undefined;
+}
+
+/**
+ * Check if the permission level allows the RTM API method
+ * @param {string} method RTM API Method
+ * @param {string} perms Permission level (`read`, `write` or `delete`)
+ * @returns {boolean} `true` if the permission level is at least the method's
+ * minimum permission (or the method is not in the registry)
+ * @private
+ */
+function allowed(method, perms) {
+  let definition = get(method);
+  if ( !definition ) {
+    return true;
+  }
+  return PERMS.indexOf(perms) >= PERMS.indexOf(definition.perms);
+}
+
+/**
+ * Check the Client's permission for the RTM API request
+ * @param {string} method RTM API Method
+ * @param {RTMClient} client The RTM Client making the request
+ * @returns {RTMError|undefined} A Permission Error, if the method requires a
+ * higher permission than the Client's permission
+ * @private
+ */
+function authorize(method, client) {
+  if ( allowed(method, client.perms) ) {
+    return undefined;
+  }
+  return error.permissionError(method + " requires " + get(method).perms + " permission (the Client has " + client.perms + " permission)");
+}
+
+/**
+ * Validate the parameters of the RTM API request
+ * @param {string} method RTM API Method
+ * @param {Object} params Request Parameters
+ * @returns {RTMError|undefined} A Validation Error, if the parameters are not valid
+ * @private
+ */
+function validate(method, params) {
+  let definition = get(method);
+  if ( !definition ) {
+    return undefined;
+  }
+  params = params || {};
+
+  // Timeline
+  if ( definition.timeline && _missing(params.timeline) ) {
+    return error.validationError(method + " requires a timeline");
+  }
+
+  // Required Parameters
+  for ( let name in definition.required ) {
+    if ( definition.required.hasOwnProperty(name) ) {
+      if ( _missing(params[name]) ) {
+        return error.validationError(method + " requires the " + name + " parameter");
+      }
+      let invalid = _check(method, name, definition.required[name], params[name]);
+      if ( invalid ) {
+        return invalid;
+      }
+    }
+  }
+
+  // Optional Parameters
+  for ( let name in definition.optional ) {
+    if ( definition.optional.hasOwnProperty(name) && !_missing(params[name]) ) {
+      let invalid = _check(method, name, definition.optional[name], params[name]);
+      if ( invalid ) {
+        return invalid;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Check if the parameter value is missing
+ * @param {*} value Parameter value
+ * @returns {boolean}
+ * @private
+ */
+function _missing(value) {
+  return value === undefined || value === null;
+}
+
+/**
+ * Check the type of the parameter value
+ * @param {string} method RTM API Method
+ * @param {string} name Parameter name
+ * @param {string} type Parameter type
+ * @param {*} value Parameter value
+ * @returns {RTMError|undefined} A Validation Error, if the value is not valid
+ * @private
+ */
+function _check(method, name, type, value) {
+  if ( !TYPES[type].valid(value) ) {
+    return error.validationError(
+      "The " + name + " parameter of " + method + " must be " + TYPES[type].description +
+      " (got " + JSON.stringify(value) + ")"
+    );
+  }
+  return undefined;
+}
+
+
+module.exports = {
+  METHODS: METHODS,
+  PERMS: PERMS,
+  get: get,
+  allowed: allowed,
+  authorize: authorize,
+  validate: validate
+};
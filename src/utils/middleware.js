@@ -0,0 +1,100 @@
+'use strict';
+
+
+/**
+ * ### Request Middleware
+ *
+ * This module runs the middleware functions added to an RTM Client (with
+ * {@link RTMClient#use|RTMClient.use}) around each of the Client's API
+ * requests.  The middleware functions are run in the order they were added,
+ * each wrapping the rest of the pipeline, with the API request itself at
+ * the end of the pipeline.
+ *
+ * A middleware function is given the request context and a `next` function:
+ * - `next()` (or `next(null)`) continues with the rest of the pipeline
+ * - `next(after)` continues with the rest of the pipeline and calls the
+ * `after(err, resp, done)` function with its result.  The `after` function
+ * must call `done(err, resp)` with the (possibly modified or replaced) result.
+ * - `next(err, resp)` skips the rest of the pipeline (including the API request)
+ * and returns the given result instead (this is decided by the number of
+ * arguments, so `next(undefined, resp)` or `next(null, resp)` returns `resp`).
+ * A single error argument (`next(err)`) also skips the rest of the pipeline.
+ * @module utils/middleware
+ * @private
+ */
+
+
+/**
+ * Run the request through the middleware pipeline
+ * @param {function[]} middleware Middleware functions, in the order they are run
+ * @param {RTMClient~MiddlewareContext} ctx Request Context
+ * @param {function} request The API request function(ctx, callback)
+ * @param {function} callback Callback function(err, resp)
+ * @private
+ */
+function run(middleware, ctx, request, callback) {
+  middleware = middleware.slice();
+  _run(0);
+
+  /**
+   * Run the middleware function at the specified index
+   * @param {number} index Middleware index
+   * @param {function} [cb] Callback function(err, resp)
+   * @private
+   */
+  function _run(index, cb) {
+    cb = cb || callback;
+
+    // End of the pipeline: make the API request
+    if ( index >= middleware.length ) {
+      return request(ctx, function(err, resp) {
+        _set(err, resp);
+        return cb(ctx.err, ctx.resp);
+      });
+    }
+
+    // Only continue once
+    let called = false;
+
+    middleware[index](ctx, function(after, resp) {
+      if ( called ) {
+        return;
+      }
+      called = true;
+
+      // Continue the pipeline
+      if ( arguments.length < 2 && (after === undefined || after === null || typeof after === 'function') ) {
+        return _run(index+1, function(err, resp) {
+          if ( typeof after !== 'function' ) {
+            return cb(err, resp);
+          }
+          after(err, resp, function(err, resp) {
+            _set(err, resp);
+            return cb(ctx.err, ctx.resp);
+          });
+        });
+      }
+
+      // Short-circuit the pipeline
+      _set(after, resp);
+      return cb(ctx.err, ctx.resp);
+
+    });
+  }
+
+  /**
+   * Set the result of the request in the context
+   * @param {RTMError} err RTM Error, if encountered
+   * @param {RTMSuccess} [resp] RTM Success Response
+   * @private
+   */
+  function _set(err, resp) {
+    ctx.err = err || null;
+    ctx.resp = err ? undefined : resp;
+  }
+}
+
+
+module.exports = {
+  run: run
+};
@@ -0,0 +1,98 @@
+'use strict';
+
+
+/**
+ * ### Callback / Promise Helper
+ *
+ * This module provides the functions used to give the callback-style API
+ * functions a Promise-based interface.  When a wrapped function is called
+ * with a callback function as its last argument, it is called as before.
+ * When the callback is omitted, the function will return a Promise that
+ * resolves with the callback's result or rejects with the callback's
+ * `RTMError`.
+ * @module utils/promise
+ * @private
+ */
+
+
+/**
+ * Call the callback-style function with the given arguments, returning a
+ * Promise when no callback function is provided.
+ * @param {function} fn Callback-style function (the callback is its last argument)
+ * @param {Arguments|Array} args Arguments to pass to the function
+ * @param {Object} [thisArg] The value of `this` for the function
+ * @param {string[]} [names] Names of the callback result arguments.  When
+ * provided, the Promise will resolve to an object with these properties
+ * instead of the first callback result argument.
+ * @returns {Promise|undefined}
+ * @private
+ */
+function call(fn, args, thisArg, names) {
+  args = Array.prototype.slice.call(args);
+
+  // Remove trailing undefined arguments
+  while ( args.length > 0 && args[args.length-1] === undefined ) {
+    args.pop();
+  }
+
+  // Callback provided: call the function directly
+  if ( args.length > 0 && typeof args[args.length-1] === 'function' ) {
+    return fn.apply(thisArg, args);
+  }
+
+  // No Callback: return a Promise
+  return new Promise(function(resolve, reject) {
+    args.push(function(err) {
+      if ( err ) {
+        return reject(err);
+      }
+      if ( names ) {
+        let rtn = {};
+        for ( let i = 0; i < names.length; i++ ) {
+          rtn[names[i]] = arguments[i+1];
+        }
+        return resolve(rtn);
+      }
+      return resolve(arguments[1]);
+    });
+    fn.apply(thisArg, args);
+  });
+}
+
+
+/**
+ * Wrap the callback-style function so that it returns a Promise when it
+ * is called without a callback function.
+ * @param {function} fn Callback-style function (the callback is its last argument)
+ * @param {string[]} [names] Names of the callback result arguments (see {@link call})
+ * @returns {function}
+ * @private
+ */
+function promisify(fn, names) {
+  return function() {
+    return call(fn, arguments, this, names);
+  };
+}
+
+
+/**
+ * Wrap each of the functions of the object with {@link promisify}
+ * @param {object} object Object with callback-style functions as its properties
+ * @returns {object} The same object with its functions wrapped
+ * @private
+ */
+function promisifyAll(object) {
+  for ( let key in object ) {
+    if ( object.hasOwnProperty(key) && typeof object[key] === 'function' ) {
+      object[key] = promisify(object[key]);
+    }
+  }
+  return object;
+}
+
+
+module.exports = {
+  call: call,
+  promisify: promisify,
+  promisifyAll: promisifyAll
+};
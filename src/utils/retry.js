@@ -0,0 +1,138 @@
+'use strict';
+
+const methods = require('./methods.js');
+
+
+/**
+ * ### Request Retry Policy
+ *
+ * This module provides the functions used to determine if and when a failed
+ * API request should be retried.  The retry policy is set by the `retry`
+ * configuration property of the {@link RTMClient} and can be overridden by
+ * the `retry` option of an individual request.
+ *
+ * The delay before a retry grows exponentially with each attempt (starting
+ * at `minTimeout` and multiplied by `factor`, up to `maxTimeout`).  When
+ * `jitter` is enabled, a random delay between 0 and the calculated delay is
+ * used instead.  When `retryAfter` is enabled and the RTM API Server returned
+ * a `Retry-After` header, the delay will be at least the requested time.
+ *
+ * Write methods are not idempotent: a failed write request (such as one that
+ * timed out) may already have been made by the RTM API Server, so retrying it
+ * could make the change twice (such as adding a duplicate task).  Write
+ * requests are only retried when the request's own `retry` option sets
+ * `writes: true`.
+ * @module utils/retry
+ * @private
+ */
+
+
+/**
+ * Get the retry policy for a request
+ * @param {RTMClient} client The RTM Client making the request
+ * @param {object} [options] Request options
+ * @param {object} [options.retry] Request retry policy (overrides the Client's retry policy)
+ * @param {string} [method] RTM API Method of the request
+ * @param {Object} [params] Request Parameters
+ * @returns {{attempts: number, minTimeout: number, maxTimeout: number, factor: number, jitter: boolean, retryAfter: boolean, codes: number[]}}
+ * @private
+ */
+function policy(client, options, method, params) {
+  let rtn = Object.assign({}, client.config.retry);
+  if ( options && options.retry !== undefined ) {
+    if ( options.retry === false ) {
+      rtn.attempts = 1;
+    }
+    else if ( typeof options.retry === 'number' ) {
+      rtn.attempts = options.retry;
+    }
+    else {
+      Object.assign(rtn, options.retry);
+    }
+  }
+
+  // Write Methods: only retried when the request opts in
+  let writes = options && options.retry && options.retry.writes === true;
+  if ( _isWrite(method, params) && !writes ) {
+    rtn.attempts = 1;
+  }
+  return rtn;
+}
+
+
+/**
+ * Check if a failed request should be retried
+ * @param {object} policy The request's retry policy
+ * @param {int} attempt The number of attempts made so far
+ * @param {RTMError} err The request's error
+ * @returns {boolean}
+ * @private
+ */
+function shouldRetry(policy, attempt, err) {
+  return attempt < policy.attempts && policy.codes.indexOf(err.code) > -1;
+}
+
+
+/**
+ * Get the time (ms) to wait before the next attempt
+ * @param {object} policy The request's retry policy
+ * @param {int} attempt The number of attempts made so far
+ * @param {number} [retryAfter] The time (ms) requested by the server's `Retry-After` header
+ * @returns {number}
+ * @private
+ */
+function delay(policy, attempt, retryAfter) {
+  let rtn = Math.min(policy.minTimeout * Math.pow(policy.factor, attempt - 1), policy.maxTimeout);
+  if ( policy.jitter ) {
+    rtn = Math.round(Math.random() * rtn);
+  }
+  if ( policy.retryAfter && retryAfter !== undefined ) {
+    rtn = Math.max(rtn, retryAfter);
+  }
+  return rtn;
+}
+
+
+/**
+ * Check if the request is for a write method (a `write` method of the API
+ * method registry or a request with a `timeline` parameter for a method that
+ * is not in the registry)
+ * @param {string} [method] RTM API Method
+ * @param {Object} [params] Request Parameters
+ * @returns {boolean}
+ * @private
+ */
+function _isWrite(method, params) {
+  let definition = methods.get(method);
+  return definition ? definition.write : !!params && params.timeline !== undefined;
+}
+
+
+/**
+ * Parse the value of a `Retry-After` header
+ * @param {string} [header] The `Retry-After` header value (seconds or HTTP date)
+ * @returns {number|undefined} The requested time to wait (ms)
+ * @private
+ */
+function parseRetryAfter(header) {
+  if ( header === undefined || header === null || header === '' ) {
+    return undefined;
+  }
+  let seconds = Number(header);
+  if ( !isNaN(seconds) ) {
+    return Math.max(0, seconds * 1000);
+  }
+  let date = Date.parse(header);
+  if ( !isNaN(date) ) {
+    return Math.max(0, date - new Date().getTime());
+  }
+  return undefined;
+}
+
+
+module.exports = {
+  policy: policy,
+  shouldRetry: shouldRetry,
+  delay: delay,
+  parseRetryAfter: parseRetryAfter
+};
@@ -1,19 +1,13 @@
 'use strict';
 
-const config = require('../../config');
+const config = require('./config.js');
 const fs = require('fs');
 
-const FILE = config.task_id_cache_file;
+// Default Task Index Cache file (built once from the default configuration)
+let DEFAULT_FILE = undefined;
 
-// Cache of User's Task Indices --> Task IDs
-let CACHE = {
-  USERS: {}
-};
-
-
-
-// Read the Cache
-_readCache();
+// Caches of User's Task Indices --> Task IDs, by cache file
+let CACHES = {};
 
 
 
@@ -24,17 +18,19 @@ _readCache();
  * or return an unassigned number for an unassigned task
  * @param {number} userId RTM User ID
  * @param {RTMTask} task RTM Task
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @returns {int} Task Index
  * @private
  */
-function getIndex(userId, task) {
+function getIndex(userId, task, file) {
   userId = parseFloat(userId);
   let taskId = parseFloat(task.task_id);
   let taskSeriesId = parseFloat(task.taskseries_id);
   let listId = parseFloat(task.list_id);
 
   // Get User Cache
-  let user = getUser(userId);
+  let user = getUser(userId, file);
+  let cache = _cache(file);
   let indices = Object.keys(user);
   let ids = Object.values(user);
 
@@ -54,10 +50,10 @@ function getIndex(userId, task) {
   while ( indices.indexOf(index.toString()) > -1 ) {
     index++;
   }
-  if ( CACHE.USERS[userId] === undefined ) {
-    CACHE.USERS[userId] = {};
+  if ( cache.USERS[userId] === undefined ) {
+    cache.USERS[userId] = {};
   }
-  CACHE.USERS[userId][index] = {
+  cache.USERS[userId][index] = {
     task_id: taskId,
     taskseries_id: taskSeriesId,
     list_id: listId
@@ -74,14 +70,15 @@ function getIndex(userId, task) {
  * for the given task index number or undefined if not found in the cache.
  * @param {number} userId RTM User ID
  * @param {int} taskIndex Task Index
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @returns {number|undefined} RTM Task ID
  * @private
  */
-function getTaskId(userId, taskIndex) {
+function getTaskId(userId, taskIndex, file) {
   userId = parseFloat(userId);
   taskIndex = parseInt(taskIndex);
 
-  let user = getUser(userId);
+  let user = getUser(userId, file);
   let task = user[taskIndex.toString()];
 
   return task === undefined ? undefined : task['task_id'];
@@ -94,14 +91,15 @@ function getTaskId(userId, taskIndex) {
  * for the given task index number or undefined if not found in the cache.
  * @param {number} userId RTM User ID
  * @param {int} taskIndex Task Index
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @returns {number|undefined} RTM Task Series ID
  * @private
  */
-function getTaskSeriesId(userId, taskIndex) {
+function getTaskSeriesId(userId, taskIndex, file) {
   userId = parseFloat(userId);
   taskIndex = parseInt(taskIndex);
 
-  let user = getUser(userId);
+  let user = getUser(userId, file);
   let task = user[taskIndex.toString()];
 
   return task === undefined ? undefined : task['taskseries_id'];
@@ -114,14 +112,15 @@ function getTaskSeriesId(userId, taskIndex) {
  * for the given task index number or undefined if not found in the cache.
  * @param {number} userId RTM User ID
  * @param {int} taskIndex Task Index
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @returns {number|undefined} RTM List ID
  * @private
  */
-function getListId(userId, taskIndex) {
+function getListId(userId, taskIndex, file) {
   userId = parseFloat(userId);
   taskIndex = parseInt(taskIndex);
 
-  let user = getUser(userId);
+  let user = getUser(userId, file);
   let task = user[taskIndex.toString()];
 
   return task === undefined ? undefined : task['list_id'];
@@ -134,44 +133,84 @@ function getListId(userId, taskIndex) {
  * This will return an Object of the entire User's task index / id cache.  The
  * Object's name is the index number and the value is the task id.
  * @param userId
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @returns {{}}
  * @private
  */
-function getUser(userId) {
+function getUser(userId, file) {
   userId = parseFloat(userId);
-  return CACHE.USERS[userId] === undefined ? {} : CACHE.USERS[userId];
+  let cache = _cache(file);
+  return cache.USERS[userId] === undefined ? {} : cache.USERS[userId];
 }
 
 
 /**
  * Save the current Task Index Cache to Disk
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @private
  */
-function save() {
-  fs.writeFileSync(FILE, JSON.stringify(CACHE));
+function save(file) {
+  file = _file(file);
+  fs.writeFileSync(file, JSON.stringify(_cache(file)));
 }
 
 
 /**
  * Clear the current Task Index Cache for the specified User
  * @param {number} userId RTM User ID
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
  * @private
  */
-function clear(userId) {
+function clear(userId, file) {
   userId = parseFloat(userId);
-  _readCache();
-  CACHE.USERS[userId] = {};
-  save();
+  file = _file(file);
+  _readCache(file);
+  CACHES[file].USERS[userId] = {};
+  save(file);
 }
 
 
+/**
+ * Get the Task Index Cache of the cache file, reading it the first time
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
+ * @returns {{USERS: object}}
+ * @private
+ */
+function _cache(file) {
+  file = _file(file);
+  if ( CACHES[file] === undefined ) {
+    _readCache(file);
+  }
+  return CACHES[file];
+}
+
+/**
+ * Get the path to the cache file
+ * @param {string} [file] Task Index Cache file (default: the configured `task_id_cache_file`)
+ * @returns {string}
+ * @private
+ */
+function _file(file) {
+  if ( file ) {
+    return file;
+  }
+  if ( DEFAULT_FILE === undefined ) {
+    DEFAULT_FILE = config.build().task_id_cache_file;
+  }
+  return DEFAULT_FILE;
+}
+
 /**
  * Load the saved cache
+ * @param {string} file Task Index Cache file
  * @private
  */
-function _readCache() {
-  if ( fs.existsSync(FILE) ) {
-    CACHE = require(FILE);
+function _readCache(file) {
+  CACHES[file] = {
+    USERS: {}
+  };
+  if ( fs.existsSync(file) ) {
+    CACHES[file] = JSON.parse(fs.readFileSync(file, 'utf8'));
   }
 }
 
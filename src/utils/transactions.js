@@ -0,0 +1,284 @@
+'use strict';
+
+const error = require('../response/error.js');
+
+
+/**
+ * ### Transaction History
+ *
+ * The RTM API returns a `transaction` (with its `id` and if it is `undoable`)
+ * for each write request made with a timeline.  This module keeps the history
+ * of each {@link RTMUser}'s transactions, by timeline, and undoes them with
+ * `rtm.transactions.undo` (using the transaction's timeline).
+ *
+ * A transaction is removed from the history once it has been undone, when
+ * its timeline is rejected by the RTM API (it can no longer be undone) or when
+ * it is the oldest of more than {@link MAX_TRANSACTIONS} transactions.
+ * @module utils/transactions
+ * @private
+ */
+
+
+/**
+ * RTM API Method used to undo a transaction
+ * @type {string}
+ * @private
+ */
+const UNDO_METHOD = 'rtm.transactions.undo';
+
+/**
+ * Maximum number of transactions kept in a User's history
+ * @type {number}
+ * @private
+ */
+const MAX_TRANSACTIONS = 100;
+
+
+/**
+ * Add the transaction of a successful write request to the User's history
+ * @param {RTMUser} user The RTM User that made the request
+ * @param {string} method RTM API Method of the request
+ * @param {number} timeline Timeline of the request
+ * @param {{id: string, undoable: string}} transaction Transaction of the RTM API Response
+ * @returns {RTMUser~Transaction|undefined} The recorded transaction
+ * @private
+ */
+function record(user, method, timeline, transaction) {
+  if ( method === UNDO_METHOD || !transaction || transaction.id === undefined ) {
+    return undefined;
+  }
+  let rtn = {
+    id: parseFloat(transaction.id),
+    undoable: transaction.undoable === '1' || transaction.undoable === 1 || transaction.undoable === true,
+    method: method,
+    timeline: parseFloat(timeline)
+  };
+  _timeline(user, rtn.timeline).push(rtn);
+
+  // Remove the oldest transactions
+  let all = _all(user);
+  for ( let i = 0; i < all.length - MAX_TRANSACTIONS; i++ ) {
+    _remove(user, all[i]);
+  }
+
+  return rtn;
+}
+
+/**
+ * Remove the transactions of an expired timeline from the User's history
+ * @param {RTMUser} user The RTM User
+ * @param {number} timeline The expired timeline
+ * @private
+ */
+function expire(user, timeline) {
+  delete user._transactions[parseFloat(timeline)];
+}
+
+/**
+ * Find the User's recorded transaction of a write request's response
+ * @param {RTMUser} user The RTM User that made the request
+ * @param {RTMSuccess} [resp] RTM Success Response of the write request
+ * @returns {RTMUser~Transaction|undefined}
+ * @private
+ */
+function find(user, resp) {
+  if ( !resp || !resp.transaction ) {
+    return undefined;
+  }
+  return _find(user, parseFloat(resp.transaction.id));
+}
+
+/**
+ * Get the User's transaction history of the timeline
+ * @param {RTMUser} user The RTM User
+ * @param {number} [timeline] Timeline (default: the User's current timeline)
+ * @returns {RTMUser~Transaction[]} The transactions, oldest first
+ * @private
+ */
+function history(user, timeline) {
+  timeline = timeline === undefined ? user.timeline : parseFloat(timeline);
+  let transactions = user._transactions;
+  return transactions.hasOwnProperty(timeline) ? transactions[timeline].slice() : [];
+}
+
+/**
+ * Undo one of the User's transactions
+ * @param {RTMUser} user The RTM User
+ * @param {number} [id] Transaction ID (default: the latest transaction of the User's current timeline)
+ * @param {object} [options] Request Options
+ * @param {function} callback Callback function(err, transaction)
+ * @private
+ */
+function undo(user, id, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+  if ( callback === undefined && typeof id === 'function' ) {
+    callback = id;
+    id = undefined;
+  }
+  if ( typeof id === 'object' && id !== null ) {
+    options = id;
+    id = undefined;
+  }
+
+  // Find the transaction
+  let transaction = undefined;
+  if ( id === undefined || id === null ) {
+    let transactions = history(user);
+    transaction = transactions[transactions.length-1];
+    if ( !transaction ) {
+      return callback(error.undoError("The User does not have a transaction to undo"));
+    }
+  }
+  else {
+    transaction = _find(user, parseFloat(id));
+    if ( !transaction ) {
+      return callback(error.undoError("Transaction " + id + " was not found in the User's transaction history"));
+    }
+  }
+
+  return _undo(user, transaction, options || {}, callback);
+}
+
+/**
+ * Undo all of the transactions in the User's history (of all of the User's
+ * timelines), latest first.  Undoing stops at the first transaction that
+ * cannot be undone.
+ * @param {RTMUser} user The RTM User
+ * @param {object} [options] Request Options
+ * @param {function} callback Callback function(err, transactions)
+ * @private
+ */
+function undoAll(user, options, callback) {
+  if ( callback === undefined && typeof options === 'function' ) {
+    callback = options;
+    options = {};
+  }
+  options = options || {};
+
+  let transactions = _all(user).reverse();
+  let undone = [];
+  let next = function(err) {
+    if ( err ) {
+      return callback(err, undone);
+    }
+    if ( undone.length >= transactions.length ) {
+      return callback(null, undone);
+    }
+    _undo(user, transactions[undone.length], options, function(err, transaction) {
+      if ( !err ) {
+        undone.push(transaction);
+      }
+      return next(err);
+    });
+  };
+  next();
+}
+
+
+/**
+ * Undo the transaction with `rtm.transactions.undo` and remove it from
+ * the User's history
+ * @param {RTMUser} user The RTM User
+ * @param {RTMUser~Transaction} transaction The transaction to undo
+ * @param {object} options Request Options
+ * @param {function} callback Callback function(err, transaction)
+ * @private
+ */
+function _undo(user, transaction, options, callback) {
+  if ( !transaction.undoable ) {
+    return callback(error.undoError("Transaction " + transaction.id + " (" + transaction.method + ") cannot be undone"));
+  }
+  let params = {
+    timeline: transaction.timeline,
+    transaction_id: transaction.id
+  };
+  user.get(UNDO_METHOD, params, options, function(err) {
+    if ( err ) {
+      return callback(err);
+    }
+    _remove(user, transaction);
+    return callback(null, transaction);
+  });
+}
+
+/**
+ * Get all of the transactions in the User's history, by timeline (oldest first)
+ * @param {RTMUser} user The RTM User
+ * @returns {RTMUser~Transaction[]}
+ * @private
+ */
+function _all(user) {
+  let rtn = [];
+  let transactions = user._transactions;
+  for ( let timeline in transactions ) {
+    if ( transactions.hasOwnProperty(timeline) ) {
+      rtn = rtn.concat(transactions[timeline]);
+    }
+  }
+  return rtn;
+}
+
+/**
+ * Find the transaction in all of the User's timelines
+ * @param {RTMUser} user The RTM User
+ * @param {number} id Transaction ID
+ * @returns {RTMUser~Transaction|undefined}
+ * @private
+ */
+function _find(user, id) {
+  let transactions = user._transactions;
+  for ( let timeline in transactions ) {
+    if ( transactions.hasOwnProperty(timeline) ) {
+      for ( let i = 0; i < transactions[timeline].length; i++ ) {
+        if ( transactions[timeline][i].id === id ) {
+          return transactions[timeline][i];
+        }
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Remove the transaction from the User's history
+ * @param {RTMUser} user The RTM User
+ * @param {RTMUser~Transaction} transaction The transaction to remove
+ * @private
+ */
+function _remove(user, transaction) {
+  let transactions = _timeline(user, transaction.timeline);
+  let index = transactions.indexOf(transaction);
+  if ( index > -1 ) {
+    transactions.splice(index, 1);
+  }
+  if ( transactions.length === 0 ) {
+    delete user._transactions[transaction.timeline];
+  }
+}
+
+/**
+ * Get the (mutable) list of the User's transactions of the timeline
+ * @param {RTMUser} user The RTM User
+ * @param {number} timeline Timeline
+ * @returns {RTMUser~Transaction[]}
+ * @private
+ */
+function _timeline(user, timeline) {
+  if ( !user._transactions.hasOwnProperty(timeline) ) {
+    user._transactions[timeline] = [];
+  }
+  return user._transactions[timeline];
+}
+
+
+module.exports = {
+  record: record,
+  expire: expire,
+  find: find,
+  history: history,
+  undo: undo,
+  undoAll: undoAll
+};
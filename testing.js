@@ -0,0 +1,12 @@
+'use strict';
+
+/**
+ * ### RTM API Testing Utilities
+ *
+ * This module is loaded with `require('rtm-api/testing')` and provides the
+ * {@link RTMMockServer}, a local mock RTM API Server for development and tests.
+ * @module testing
+ */
+module.exports = {
+  RTMMockServer: require('./src/testing/index.js')
+};